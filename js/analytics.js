@@ -0,0 +1,126 @@
+// 電流波形の後処理（実効値・ピーク・I²t）
+// simulateInrush() の結果 data（t [ms]、iU・iV・iW [A]、等間隔）から求める。DOM に依存しない。
+
+export const PHASE_KEYS = ['iU', 'iV', 'iW'];
+
+// 定格電流の何倍を下回ったら減衰完了とみなすか
+export const SETTLE_RATIO = 1.1;
+
+// 二乗値の累積和
+function squareSums(values) {
+  const prefix = new Float64Array(values.length + 1);
+  for (let i = 0; i < values.length; i++) prefix[i + 1] = prefix[i] + values[i] * values[i];
+  return prefix;
+}
+
+// n 点の移動窓による実効値（窓は直前の n 点。最初の n 点は揃っている点だけで求める）
+export function slidingRms(values, n) {
+  const prefix = squareSums(values);
+  return values.map((_, i) => {
+    const lo = Math.max(0, i + 1 - n);
+    return Math.sqrt((prefix[i + 1] - prefix[lo]) / (i + 1 - lo));
+  });
+}
+
+// IEC 61000-4-30 の半サイクル実効値 Urms(1/2)（電流にも同じ定義を使う）
+// 1サイクル窓の実効値を半サイクルごとに更新し、次の更新まで保持する
+//   start: 更新の基準とする点（投入時点）。それより前は 0（窓には投入前の 0 電流も含む）
+export function halfCycleRms(values, n, start = 0) {
+  const half = Math.max(1, Math.round(n / 2));
+  const prefix = squareSums(values);
+  const out = new Array(values.length).fill(0);
+  let value = 0;
+  for (let i = start; i < values.length; i++) {
+    if ((i - start + 1) % half === 0) {
+      const lo = Math.max(0, i + 1 - n);
+      value = Math.sqrt((prefix[i + 1] - prefix[lo]) / (i + 1 - lo));
+    }
+    out[i] = value;
+  }
+  return out;
+}
+
+// 三相電流の解析
+//   sim:       simulateInrush() の結果
+//   frequency: 電源周波数 [Hz]
+// 戻り値:
+//   rms・halfRms: 相ごとの1サイクル実効値・半サイクル実効値 [A]（data と同じ長さの配列 ×3）
+//   peak:       相ごとの最大瞬時電流の絶対値 [A]
+//   i2t:        投入からの相ごとの I²t [A²s]
+//   settleTime: 1サイクル実効値（3相の最大）が SETTLE_RATIO × 定格電流を下回り、以後超えない時刻 [s]
+//               （投入からの時間。計算範囲の最後まで下回らなければ null）
+//   maxRms・maxHalfRms: 実効値の最大値 [A]（3相の最大）
+export function analyzeCurrents(sim, frequency) {
+  const data = sim.data;
+  const dtMs = data.length > 1 ? data[1].t - data[0].t : 1000 / frequency / 100;
+  const n = Math.max(1, Math.round(1000 / frequency / dtMs));
+  const start = data.findIndex(d => d.t >= sim.stopMs - 1e-9);
+  const phases = PHASE_KEYS.map(key => data.map(d => d[key]));
+
+  const rms = phases.map(v => slidingRms(v, n));
+  const halfRms = phases.map(v => halfCycleRms(v, n, start));
+  const peak = phases.map(v => v.reduce((m, x) => Math.max(m, Math.abs(x)), 0));
+  const i2t = phases.map(v => v.slice(start).reduce((a, x) => a + x * x, 0) * dtMs / 1000);
+
+  const limit = SETTLE_RATIO * sim.Irated;
+  let last = -1;
+  for (let i = start; i < data.length; i++) {
+    if (Math.max(rms[0][i], rms[1][i], rms[2][i]) >= limit) last = i;
+  }
+  const settleTime = last === data.length - 1 ? null
+    : last < 0 ? 0 : (data[last + 1].t - sim.stopMs) / 1000;
+
+  const maxOf = arrs => Math.max(...arrs.map(a => a.reduce((m, x) => Math.max(m, x), 0)));
+  return { rms, halfRms, peak, i2t, settleTime, maxRms: maxOf(rms), maxHalfRms: maxOf(halfRms) };
+}
+
+// 計算結果どうしを比べる指標
+//   analysis: analyzeCurrents() の結果
+// 戻り値: { maxI: 最大瞬時電流 [A], dcPeak: DC成分ピーク [A]（データにある相の最大）, settleTime [s], i2t: I²t [A²s]（3相の最大） }
+export function runMetrics(sim, analysis) {
+  const dcKeys = ['dcU', 'dcV', 'dcW'].filter(k => typeof sim.data[0][k] === 'number');
+  const dcPeak = sim.data.reduce((m, d) => Math.max(m, ...dcKeys.map(k => Math.abs(d[k]))), 0);
+  return { maxI: sim.maxI, dcPeak, settleTime: analysis.settleTime, i2t: Math.max(...analysis.i2t) };
+}
+
+// 時刻 t [ms] の値を前後の点から線形補間する（範囲外は端の値）
+//   keys: 取り出すキーの配列
+// 戻り値: { key: 値 }（データにないキーは null）
+export function valuesAt(data, t, keys) {
+  let hi = data.findIndex(d => d.t >= t);
+  if (hi < 0) hi = data.length - 1;
+  const lo = Math.max(0, hi - 1);
+  const a = data[lo], b = data[hi];
+  const f = b.t > a.t ? Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t))) : 0;
+  return Object.fromEntries(keys.map(k => [k, typeof a[k] === 'number' ? a[k] + f * (b[k] - a[k]) : null]));
+}
+
+// 自動で置く目印
+// 戻り値:
+//   absolute: 投入後の最大瞬時電流 { t [ms], value [A]（符号つき）, phase: PHASE_KEYS の添字 }
+//   first:    最初のピーク。相ごとに投入後の最初の |i| の極大を探し、最大瞬時電流の半分以上のもののうち最も早いもの
+//   （投入後に電流がなければ null）
+export function peakMarkers(sim) {
+  const data = sim.data;
+  const start = data.findIndex(d => d.t >= sim.stopMs - 1e-9);
+  if (start < 0) return null;
+  let absolute = null;
+  for (let i = start; i < data.length; i++) {
+    PHASE_KEYS.forEach((key, k) => {
+      if (!absolute || Math.abs(data[i][key]) > Math.abs(absolute.value)) absolute = { t: data[i].t, value: data[i][key], phase: k };
+    });
+  }
+  if (!absolute || absolute.value === 0) return null;
+  let first = null;
+  PHASE_KEYS.forEach((key, k) => {
+    for (let i = start + 1; i < data.length - 1; i++) {
+      const v = Math.abs(data[i][key]);
+      if (v < Math.abs(data[i - 1][key]) || v < Math.abs(data[i + 1][key])) continue;
+      if (v >= 0.5 * Math.abs(absolute.value)) {
+        if (!first || data[i].t < first.t) first = { t: data[i].t, value: data[i][key], phase: k };
+        break;
+      }
+    }
+  });
+  return { absolute, first: first || absolute };
+}
@@ -0,0 +1,115 @@
+// 遮断器の極ごとの投入（極間のばらつき・制御投入）
+// 各極の投入時刻は投入位相角の瞬時（基準時刻 0）からの遅れ [s] で表す。
+// 二相だけ閉じている間は中性点非接地のため、電流は閉じた二相の間を往復する（開いた相の電流は 0）。
+
+export const BREAKER_MODES = {
+  simultaneous: '三相同時',
+  individual: '極ごとに指定',
+  controlled: '制御投入（DC最小）'
+};
+
+export const SCATTER_DISTRIBUTIONS = {
+  none: 'なし',
+  uniform: '一様分布 (±幅)',
+  normal: '正規分布 (σ)'
+};
+
+// 既定値（画面の初期値と同じ）
+export const BREAKER_DEFAULTS = {
+  mode: 'simultaneous',
+  delays: [0, 0, 0],   // 極ごとに指定するときの U・V・W の遅れ [ms]
+  scatter: 'none',     // ばらつきの分布
+  spread: 1,           // 一様分布の片側幅・正規分布の標準偏差 [ms]
+  seed: 1              // 乱数の種（同じ種なら同じ投入時刻）
+};
+
+export const POLES = ['U', 'V', 'W'];
+
+const DEG = Math.PI / 180;
+
+// 開いている極（U・V・W）ごとの、残り二相に流れる電流の向き（α-β の単位ベクトル、振幅不変）
+const OPEN_POLE_DIRS = [
+  [0, 1],
+  [Math.sqrt(3) / 2, 0.5],
+  [Math.sqrt(3) / 2, -0.5]
+];
+
+// 種から再現可能な [0, 1) の一様乱数列（mulberry32）
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 分布（SCATTER_DISTRIBUTIONS のキー）から1つ抽出する（spread と同じ単位）
+export function drawScatter(kind, spread, rand) {
+  if (kind === 'uniform') return (2 * rand() - 1) * spread;
+  if (kind === 'normal') {
+    // Box-Muller 法
+    const u = Math.max(rand(), 1e-12);
+    return spread * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+  }
+  return 0;
+}
+
+// 制御投入の目標遅れ [s]
+// 先行する二極は、その線間電圧に対する電流の定常値が 0 となる位相（線間電圧の位相 = インピーダンス角）で投入し、
+// 残りの一極は 1/4 サイクル後（その相の三相定常電流が二相の電流と一致する瞬時）に投入する。
+// 基準時刻以降で最も早く到達する組を選ぶ。
+//   phase: 基準時刻の U 相電圧の位相 [rad]、impedanceAngle: 拘束時インピーダンス角 [rad]
+function controlledDelays(omega, phase, impedanceAngle) {
+  // 線間電圧 UV・VW・WU の位相は U 相電圧の位相 + 30°・−90°・+150°
+  const pairs = [
+    { poles: [0, 1], last: 2, shift: 30 * DEG },
+    { poles: [1, 2], last: 0, shift: -90 * DEG },
+    { poles: [2, 0], last: 1, shift: 150 * DEG }
+  ];
+  let best = null;
+  pairs.forEach(p => {
+    // 電流が 0 となる瞬時は半サイクルごと
+    const wait = ((impedanceAngle - phase - p.shift) % Math.PI + 2 * Math.PI) % Math.PI;
+    if (!best || wait < best.wait) best = { ...p, wait };
+  });
+  const delays = [0, 0, 0];
+  best.poles.forEach(k => { delays[k] = best.wait / omega; });
+  delays[best.last] = (best.wait + Math.PI / 2) / omega;
+  return delays;
+}
+
+// 極ごとの投入時刻 [s]（基準時刻からの遅れ、負はばらつきで基準より早く閉じた極）
+//   options: BREAKER_DEFAULTS と同じキー（省略分は既定値）
+//   ctx:     { omega, phase, impedanceAngle }（controlledDelays 参照）
+export function closingTimes(options = {}, ctx) {
+  const o = { ...BREAKER_DEFAULTS, ...options };
+  const base = o.mode === 'individual' ? [0, 1, 2].map(k => (Number(o.delays[k]) || 0) / 1000)
+    : o.mode === 'controlled' ? controlledDelays(ctx.omega, ctx.phase, ctx.impedanceAngle)
+    : [0, 0, 0];
+  const rand = seededRandom(o.seed);
+  return base.map(t => t + drawScatter(o.scatter, o.spread, rand) / 1000);
+}
+
+// 投入時刻 [s] から、機端の接続状態を返す関数を作る
+// apply(t, v, rotate): 三相閉路の電圧 v に対して、閉じている極の数に応じた source の戻り値を返す
+//   3極: v、2極: { v, dir }、1極以下: null（machine-model.js の machineDerivative 参照）
+//   rotate: 電流の向きを回す角度 [rad]（スターデルタの Y 結線中は等価Y結線の座標で表すため −30°）
+export function createBreaker(times) {
+  const closed = t => times.map(tc => t >= tc);
+  return {
+    times,
+    apply(t, v, rotate = 0) {
+      if (v === null) return null;
+      const c = closed(t);
+      const n = c.filter(Boolean).length;
+      if (n === 3) return v;
+      if (n < 2) return null;
+      const [ea, eb] = OPEN_POLE_DIRS[c.indexOf(false)];
+      const cs = Math.cos(rotate), sn = Math.sin(rotate);
+      return { v, dir: [cs * ea - sn * eb, sn * ea + cs * eb] };
+    }
+  };
+}
@@ -0,0 +1,13 @@
+// bus-study.js の多機始動を Web Worker で動かす（画面を止めない）
+// 受信: runBusStudy() の入力、送信: { type: 'progress', done, total } / { type: 'done', result } / { type: 'error', message }
+
+import { runBusStudy } from './bus-study.js';
+
+self.onmessage = e => {
+  try {
+    const result = runBusStudy(e.data, (done, total) => self.postMessage({ type: 'progress', done, total }));
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,182 @@
+// 母線の多機始動: 1台の変圧器（受電点 PCC）につながる複数の電動機を、それぞれの始動時刻・始動方式で投入する
+// 各電動機は simulateInrush() の等価回路モデルで計算し、受電点より電源側のインピーダンス（上位系統・変圧器）で
+// 他の電動機の電流が生じる電圧降下を busDrop として与える。全台の電流が収まるまで繰り返す（波形緩和法）。
+// ケーブルは電動機ごとに同じ値を使う。DOM に依存しない（画面からは bus-study-worker.js を通して Web Worker で動かす）。
+
+import { simulateInrush } from './inrush-engine.js';
+import { networkImpedance } from './supply-network.js';
+import { steadyState } from './equivalent-circuit.js';
+import { slidingRms } from './analytics.js';
+
+const SQRT3 = Math.sqrt(3);
+
+// 繰り返しの上限と収束判定（前回との電流差の最大値 / 全台の最大瞬時電流）
+export const BUS_MAX_ITERATIONS = 10;
+export const BUS_TOLERANCE = 0.005;
+
+// 母線に置ける台数の上限
+export const MAX_BUS_MOTORS = 8;
+
+// 電動機ごとの始動結果
+export const BUS_STATUS = {
+  accelerated: '加速完了',
+  incomplete: '加速中（計算時間内に未完了）',
+  stalled: '停滞'
+};
+
+// 多機始動の計算
+//   params:   simulateInrush() の入力（電圧・周波数・負荷・始動器の設定・network など全台で共通の値）。
+//             switchAngle は最初に投入する電動機の投入位相角とし、以後の電動機は母線電圧の位相から決める
+//   motors:   [{ motor, ratedPower [kW], start [s], startingMethod }]
+//   duration: 計算時間 [s]（母線の時刻 0 から）
+//   onProgress: (済んだ計算回数, 見込みの回数) を受け取る関数
+// 戻り値:
+//   data:   [{ t [ms], iU・iV・iW: 母線の線路電流 [A], rms: 母線電流の1サイクル実効値 [A], vBus: 受電点電圧 [%],
+//             rms0, rms1, ...: 電動機ごとの1サイクル実効値 [A], speed0, speed1, ...: 電動機ごとの速度 [同期速度に対する %] }]
+//   motors: [{ start [s], switchAngle [°], maxI, maxRms [A], accelTime [s]（自身の投入から、未完了は null）,
+//             status: BUS_STATUS のキー, minTerminal: 投入後の機端電圧の最小値 [%] }]
+//   minBus: 受電点電圧の最小値 [%]、iterations: 繰り返し回数、converged: 収束したか
+export function runBusStudy({ params, motors, duration }, onProgress = () => {}) {
+  if (!motors.length) throw new Error('電動機がありません');
+  if (motors.length > MAX_BUS_MOTORS) throw new Error(`電動機は ${MAX_BUS_MOTORS} 台までです`);
+  if (!params.network) throw new Error('電源系統の設定がありません');
+  const { frequency, ratedVoltage } = params;
+  const omega = 2 * Math.PI * frequency;
+  const period = 1 / frequency;
+  const dt = period / 100;
+  const n = Math.round(duration / dt);
+  const net = networkImpedance(params.network, { ratedVoltage, frequency });
+  const Vp = ratedVoltage * Math.sqrt(2) / SQRT3;
+
+  // 始動時刻は出力の刻みに揃える。母線電圧の位相は最初の電動機が switchAngle で投入されるように決める
+  const starts = motors.map(m => Math.round(Math.max(0, m.start) / dt));
+  starts.forEach(s => {
+    if (s * dt > duration - period) throw new Error('始動時刻が計算時間の終わり（の1サイクル前）より後です');
+  });
+  const angles = motors.map(m => steadyState(m.motor.circuit, 1).angle);
+  const first = starts.indexOf(Math.min(...starts));
+  const phiBus = params.switchAngle * Math.PI / 180 + angles[first] - omega * starts[first] * dt;
+  const switchAngles = motors.map((_, k) => {
+    const deg = (phiBus + omega * starts[k] * dt - angles[k]) * 180 / Math.PI;
+    return ((deg % 360) + 360) % 360;
+  });
+
+  // 電動機ごとの線路電流（α-β、母線の時刻の格子）
+  const currents = motors.map(() => ({ a: new Float64Array(n + 1), b: new Float64Array(n + 1) }));
+  const sims = new Array(motors.length).fill(null);
+  const dropOf = (a, b) => {
+    const { R, L } = net.pcc;
+    const slope = (x, i) => (x[Math.min(n, i + 1)] - x[Math.max(0, i - 1)]) / (((Math.min(n, i + 1) - Math.max(0, i - 1)) || 1) * dt);
+    const da = new Float64Array(n + 1), db = new Float64Array(n + 1);
+    for (let i = 0; i <= n; i++) {
+      da[i] = R * a[i] + L * slope(a, i);
+      db[i] = R * b[i] + L * slope(b, i);
+    }
+    return { a: da, b: db };
+  };
+  // 母線の格子の値を電動機 k の投入からの時刻で線形補間する関数
+  const interpolate = (drop, k) => t => {
+    const x = starts[k] + t / dt;
+    const i = Math.min(n - 1, Math.max(0, Math.floor(x)));
+    const f = Math.min(1, Math.max(0, x - i));
+    return [drop.a[i] + f * (drop.a[i + 1] - drop.a[i]), drop.b[i] + f * (drop.b[i + 1] - drop.b[i])];
+  };
+
+  // 1台だけ、または受電点より電源側のインピーダンスがなければ互いに影響しないので1回で済む
+  const coupled = motors.length > 1 && (net.pcc.R > 0 || net.pcc.L > 0);
+  const maxIterations = coupled ? BUS_MAX_ITERATIONS : 1;
+  let iterations = 0, converged = !coupled, done = 0;
+  while (iterations < maxIterations) {
+    iterations++;
+    let change = 0, peak = 0;
+    motors.forEach((m, k) => {
+      const others = { a: new Float64Array(n + 1), b: new Float64Array(n + 1) };
+      currents.forEach((c, j) => {
+        if (j === k) return;
+        for (let i = 0; i <= n; i++) { others.a[i] += c.a[i]; others.b[i] += c.b[i]; }
+      });
+      const sim = simulateInrush({
+        ...params,
+        model: 'dq',
+        motor: m.motor,
+        ratedPower: m.ratedPower,
+        startingMethod: m.startingMethod,
+        stopTime: starts[k] * dt * 1000,
+        switchAngle: switchAngles[k],
+        viewCycles: 1,
+        runTime: (n - starts[k]) * dt,
+        inertia: 0,
+        rotorResistance: [],
+        saturation: [],
+        remanence: [0, 0, 0],
+        breaker: null,
+        busDrop: coupled ? interpolate(dropOf(others.a, others.b), k) : null
+      });
+      sims[k] = sim;
+      const c = currents[k];
+      for (let i = 0; i <= n; i++) {
+        const d = sim.data[Math.min(i, sim.data.length - 1)];
+        const a = d.iU, b = (d.iV - d.iW) / SQRT3;
+        change = Math.max(change, Math.abs(a - c.a[i]), Math.abs(b - c.b[i]));
+        peak = Math.max(peak, Math.abs(a), Math.abs(b));
+        c.a[i] = a;
+        c.b[i] = b;
+      }
+      onProgress(++done, maxIterations * motors.length);
+    });
+    if (coupled && iterations > 1 && change <= BUS_TOLERANCE * peak) {
+      converged = true;
+      break;
+    }
+  }
+
+  // 母線の電流と受電点電圧
+  const total = { a: new Float64Array(n + 1), b: new Float64Array(n + 1) };
+  currents.forEach(c => {
+    for (let i = 0; i <= n; i++) { total.a[i] += c.a[i]; total.b[i] += c.b[i]; }
+  });
+  const drop = dropOf(total.a, total.b);
+  const va = [], vb = [];
+  for (let i = 0; i <= n; i++) {
+    const wt = omega * i * dt + phiBus;
+    va.push(Vp * Math.sin(wt) - drop.a[i]);
+    vb.push(-Vp * Math.cos(wt) - drop.b[i]);
+  }
+  const rmsA = slidingRms(va, 100), rmsB = slidingRms(vb, 100);
+  const vBus = rmsA.map((r, i) => Math.hypot(r, rmsB[i]) / Vp * 100);
+  // 1サイクル実効値（α-β の大きさの実効値 / √2）
+  const vectorRms = ab => {
+    const ra = slidingRms(Array.from(ab.a), 100), rb = slidingRms(Array.from(ab.b), 100);
+    return ra.map((r, i) => Math.hypot(r, rb[i]) / Math.SQRT2);
+  };
+  const busRms = vectorRms(total);
+  const motorRms = currents.map(vectorRms);
+
+  const data = Array.from(total.a, (a, i) => {
+    const b = total.b[i];
+    const d = { t: i * dt * 1000, iU: a, iV: -0.5 * a + SQRT3 / 2 * b, iW: -0.5 * a - SQRT3 / 2 * b, rms: busRms[i], vBus: vBus[i] };
+    motorRms.forEach((r, k) => { d[`rms${k}`] = r[i]; });
+    sims.forEach((sim, k) => { d[`speed${k}`] = sim.data[Math.min(i, sim.data.length - 1)].speed / sim.syncSpeed * 100; });
+    return d;
+  });
+
+  return {
+    data,
+    stopMs: 0,
+    motors: sims.map((sim, k) => {
+      const after = sim.data.slice(starts[k]);
+      return {
+        start: starts[k] * dt,
+        switchAngle: switchAngles[k],
+        maxI: sim.maxI,
+        maxRms: motorRms[k].reduce((m, r) => Math.max(m, r), 0),
+        accelTime: sim.accelTime,
+        status: sim.accelTime !== null ? 'accelerated' : sim.stalled ? 'stalled' : 'incomplete',
+        minTerminal: after.reduce((m, d) => Math.min(m, d.vTerm), Infinity)
+      };
+    }),
+    minBus: vBus.reduce((m, v) => Math.min(m, v), Infinity),
+    iterations,
+    converged
+  };
+}
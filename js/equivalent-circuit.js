@@ -0,0 +1,53 @@
+// 誘導機 T形等価回路の定常解析（p.u.）
+// circuit: { R1, X1, Xm, R2, X2 } はいずれも定格周波数・定格容量基準の p.u. 値
+
+const cx = (re, im = 0) => ({ re, im });
+const cadd = (a, b) => cx(a.re + b.re, a.im + b.im);
+const cmul = (a, b) => cx(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const cdiv = (a, b) => {
+  const d = b.re * b.re + b.im * b.im;
+  return cx((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+};
+const cabs = a => Math.hypot(a.re, a.im);
+
+// スリップ s における入力インピーダンス・電流・エアギャップ電力
+export function steadyState(circuit, slip, voltage = 1) {
+  const { R1, X1, Xm, R2, X2 } = circuit;
+  const s = Math.max(slip, 1e-6);
+  const Zr = cx(R2 / s, X2);
+  const Zm = cx(0, Xm);
+  const Zp = cdiv(cmul(Zr, Zm), cadd(Zr, Zm));
+  const Z = cadd(cx(R1, X1), Zp);
+  const I1 = cdiv(cx(voltage), Z);
+  const I2 = cdiv(cmul(I1, Zp), Zr);
+  const Pag = cabs(I2) ** 2 * R2 / s;
+  return {
+    Z: cabs(Z),
+    angle: Math.atan2(Z.im, Z.re),
+    I1: cabs(I1),
+    I2: cabs(I2),
+    Pag,
+    Pout: Pag * (1 - s),
+    pf: Z.re / cabs(Z)
+  };
+}
+
+// 機械出力が pOut [p.u.] になるスリップ（定格スリップ）を二分法で求める
+export function ratedSlip(circuit, pOut) {
+  let lo = 1e-5, hi = breakdownSlip(circuit);
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (steadyState(circuit, mid).Pout < pOut) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// 最大トルクを与えるスリップ（テブナン等価による近似式）
+export function breakdownSlip(circuit) {
+  const { R1, X1, Xm, R2, X2 } = circuit;
+  const k = Xm / (X1 + Xm);
+  const Rth = R1 * k * k;
+  const Xth = X1 * k;
+  return Math.min(1, R2 / Math.hypot(Rth, Xth + X2));
+}
@@ -0,0 +1,13 @@
+// parameter-fit.js の当てはめを Web Worker で動かす（画面を止めない）
+// 受信: fitInrush() の入力、送信: { type: 'progress', stage, iteration, rms } / { type: 'done', result } / { type: 'error', message }
+
+import { fitInrush } from './parameter-fit.js';
+
+self.onmessage = e => {
+  try {
+    const result = fitInrush(e.data, progress => self.postMessage({ type: 'progress', ...progress }));
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,348 @@
+// 突入電流シミュレーションエンジン
+// DOM・React に依存しない純粋な計算モジュール。index.html / jsx / Node スクリプトから共通で使用する。
+
+import { baseValues, buildInductionMachine, buildSynchronousMachine, setRotorExternalResistance, setSupplyImpedance, simulateMachine } from './machine-model.js';
+import { loadTorqueCurve } from './load-torque.js';
+import { createStarter } from './starting-methods.js';
+import { createResistorSchedule } from './rotor-resistance.js';
+import { createFieldControl, evaluatePullIn, loadAngle } from './synchronous-start.js';
+import { closingTimes, createBreaker } from './breaker.js';
+import { networkImpedance } from './supply-network.js';
+
+const SQRT3_2 = Math.sqrt(3) / 2;
+
+// 入力パラメータ（単位は画面の入力と同じ）
+//   model:        'dq'（等価回路による過渡解析、既定）または 'simple'（経験式）
+//   motor:        モーター定義（dq は circuit, poles, H と同期機は sync、simple は inrushMultiplier, category を使用。
+//                 銘板データのモーターは pf, efficiency で定格電流を決める）
+//   ratedPower:   定格出力 [kW]
+//   ratedVoltage: 定格電圧 [V]
+//   frequency:    電源周波数 [Hz]
+//   stopTime:     停止時間 [ms]
+//   switchAngle:  投入位相角 [°]
+//   supplyVoltage: 電源電圧（定格電圧に対する比、省略時 1。定格電流・定格ピークは定格電圧で求める）
+//   dcTau:        DC減衰時定数 [ms]（simple のみ）
+//   acTau:        AC成分（突入倍率）の減衰時定数 [ms]（simple のみ、省略時は defaultAcTau(motor)）
+//   viewCycles:   表示するサイクル数（simple はこの範囲だけ計算する）
+//   runTime:      計算時間 [s]（dq のみ、表示範囲より短い場合は表示範囲まで計算）
+//   inertia:      慣性モーメント J [kg·m²]（dq のみ、省略時は motor.H から推定）
+//   load:         負荷特性 { type, torque, table }（dq のみ、load-torque.js 参照）
+//   solver:       { method: 'rk4' | 'rk45' }（dq のみ）
+//   startingMethod: 始動方式（dq のみ、starting-methods.js の STARTING_METHODS のキー、既定 'dol'）
+//   starter:      始動方式ごとの設定（STARTER_DEFAULTS 参照）
+//   rotorResistance: 巻線形の二次外部抵抗スケジュール [{ R, by, at }]（dq のみ、rotor-resistance.js 参照）
+//   saturation:   励磁回路の Ψ-i 曲線 [[i, ψ], ...] [p.u.]（dq のみ、省略で線形、saturation.js 参照）
+//   remanence:    相ごとの残留磁束 [U, V, W] [p.u.]（dq のみ）
+//   field:        同期機の界磁投入設定 { applySlip, fieldCurrent, dischargeRatio }（dq のみ、FIELD_DEFAULTS 参照）
+//   breaker:      遮断器の極ごとの投入 { mode, delays, scatter, spread, seed }（dq のみ、BREAKER_DEFAULTS 参照）
+//   network:      電源系統 { scMVA, gridXR, transformerKVA, transformerZ, transformerXR, cableLength, cableSection }
+//                 （dq のみ、NETWORK_DEFAULTS 参照、省略・null で無限大母線）
+//   busDrop:      同じ受電点につながる他の負荷の電流による電源電圧の降下 t → [vα, vβ] [V]
+//                 （t: 投入からの時刻 [s]、dq のみ、省略で 0。母線の多機始動 bus-study.js が与える）
+export function simulateInrush(params) {
+  return params.model === 'simple' ? simulateSimple(params) : simulateDq(params);
+}
+
+// 経験式モデルの AC減衰時定数の既定値 [ms]（同期機は界磁・制動巻線の分だけ長い）
+export function defaultAcTau(motor) {
+  return motor.category === '同期機' ? 500 : 300;
+}
+
+// 経験式モデル: 突入倍率と時定数から包絡線を与える
+function simulateSimple(params) {
+  const { motor, ratedPower, ratedVoltage, frequency, stopTime, switchAngle, dcTau, viewCycles } = params;
+  const mult = motor.inrushMultiplier;
+
+  const omega = 2 * Math.PI * frequency;
+  const period = 1 / frequency;
+  const { Irated } = baseValues({ ratedPower, ratedVoltage, frequency, pf: motor.pf, efficiency: motor.efficiency });
+  const Ipeak = Irated * Math.sqrt(2);
+  const IpeakInrush = Ipeak * mult;
+  const phi0 = switchAngle * Math.PI / 180;
+  const tauDC = dcTau / 1000;
+  const tauAC = (params.acTau > 0 ? params.acTau : defaultAcTau(motor)) / 1000;
+  const kV = params.supplyVoltage > 0 ? params.supplyVoltage : 1;
+
+  const stopS = stopTime / 1000;
+  const runTime = period * viewCycles;
+  const totalTime = stopS + runTime;
+  const dt = period / 100;
+  const steps = Math.floor(totalTime / dt);
+
+  const data = [];
+  let maxI = 0;
+
+  for (let i = 0; i <= steps; i++) {
+    const t = i * dt;
+    const tMs = t * 1000;
+
+    if (t < stopS) {
+      data.push({ t: tMs, iU: 0, iV: 0, iW: 0, envP: 0, envN: 0, dcU: 0 });
+      continue;
+    }
+
+    const tRun = t - stopS;
+    const decay = 1 + (mult - 1) * Math.exp(-tRun / tauAC);
+    const amp = Ipeak * decay * kV;
+
+    const dcU = -amp * Math.sin(phi0) * Math.exp(-tRun / tauDC);
+    const dcV = -amp * Math.sin(phi0 - 2*Math.PI/3) * Math.exp(-tRun / tauDC);
+    const dcW = -amp * Math.sin(phi0 + 2*Math.PI/3) * Math.exp(-tRun / tauDC);
+
+    const iU = amp * Math.sin(omega * tRun + phi0) + dcU;
+    const iV = amp * Math.sin(omega * tRun + phi0 - 2*Math.PI/3) + dcV;
+    const iW = amp * Math.sin(omega * tRun + phi0 + 2*Math.PI/3) + dcW;
+
+    maxI = Math.max(maxI, Math.abs(iU), Math.abs(iV), Math.abs(iW));
+
+    data.push({
+      t: tMs,
+      iU, iV, iW,
+      envP: amp + Math.abs(dcU),
+      envN: -(amp + Math.abs(dcU)),
+      dcU
+    });
+  }
+
+  return { data, Irated, Ipeak, IpeakInrush, maxI, stopMs: stopTime, viewMs: stopTime + runTime * 1000, mechanical: false };
+}
+
+// 等価回路モデル: dq軸過渡解析から突入電流・DC成分・減衰を求める
+// 投入位相角は従来どおり定常電流の位相で定義し、停動インピーダンス角だけ進めた電圧を印加する
+function simulateDq(params) {
+  const { motor, ratedPower, ratedVoltage, frequency, stopTime, switchAngle, viewCycles } = params;
+  const build = motor.sync ? buildSynchronousMachine : buildInductionMachine;
+  const machine = build({
+    motor, ratedPower, ratedVoltage, frequency,
+    inertia: params.inertia,
+    saturation: params.saturation,
+    remanence: params.remanence
+  });
+  const isSync = machine.kind === 'synchronous';
+  const { base, lockedRotor, wSync, Tn } = machine;
+
+  const omega = base.omega;
+  const period = 1 / frequency;
+  const dt = period / 100;
+  const stopS = stopTime / 1000;
+  const viewTime = period * viewCycles;
+  const runTime = Math.max(viewTime, params.runTime || 0);
+  // 極ごとの投入時刻。最初に閉じる極の時刻を t = 0 とし、電源の位相をその分進める
+  // インバータは入力側の遮断器とは切り離して出力を立ち上げるため三相同時とする
+  const phi0 = switchAngle * Math.PI / 180;
+  const rawTimes = params.startingMethod === 'vfd' ? [0, 0, 0]
+    : closingTimes(params.breaker, { omega, phase: phi0 + lockedRotor.angle, impedanceAngle: lockedRotor.angle });
+  const tFirst = Math.min(...rawTimes);
+  const breaker = createBreaker(rawTimes.map(tc => tc - tFirst));
+  const phiV = phi0 + lockedRotor.angle + omega * tFirst;
+  const Vp = base.Vpeak;
+  const Vs = Vp * (params.supplyVoltage > 0 ? params.supplyVoltage : 1);
+  const loadPu = loadTorqueCurve(params.load || {});
+  const load = wm => loadPu(wm / wSync) * Tn;
+  const Irated = base.Irated;
+  const Ipeak = Irated * Math.sqrt(2);
+
+  const busDrop = params.busDrop || (() => [0, 0]);
+  const supply = t => {
+    const d = busDrop(t);
+    return [Vs * Math.sin(omega * t + phiV) - d[0], -Vs * Math.cos(omega * t + phiV) - d[1]];
+  };
+  const starter = createStarter(params.startingMethod, params.starter, { omega, Vpeak: Vp, Ipeak });
+  const resistors = createResistorSchedule(isSync ? [] : params.rotorResistance);
+  const Rext0 = resistors.Rext;
+  if (!isSync) setRotorExternalResistance(machine, Rext0);
+  const field = isSync ? createFieldControl(machine, params.field) : null;
+  let delta = 0;
+  // 電源側インピーダンスは始動器の段階に応じて機端側へ換算して固定子に直列に加える
+  const net = params.network ? networkImpedance(params.network, { ratedVoltage, frequency }) : null;
+  const applyNetwork = () => {
+    if (!net) return;
+    const r = starter.impedanceRatio();
+    setSupplyImpedance(machine, r * net.total.R, r * net.total.L);
+  };
+  applyNetwork();
+  // スターデルタの Y 結線中は巻線の電流の向きを等価Y結線の座標（−30°）で表す
+  const source = t => breaker.apply(t, starter.motorVoltage(t, supply(t)), starter.stage === 'star' ? -Math.PI / 6 : 0);
+
+  // 機端電流 (ia, ib) を始動器で線路電流 (la, lb) に換算し、その大きさで始動器の段階を更新する
+  const samples = simulateMachine(machine, {
+    source,
+    load,
+    tEnd: runTime,
+    dtOut: dt,
+    solver: params.solver,
+    onSample: s => {
+      const vs = supply(s.t);
+      const src = source(s.t);
+      const vm = src === null ? [0, 0] : src.v || src;
+      [s.la, s.lb] = starter.lineCurrent([s.ia, s.ib], vm, vs);
+      s.stage = starter.stage;
+      s.rotorStep = resistors.index;
+      starter.update(s.t, Math.hypot(s.la, s.lb));
+      applyNetwork();
+      if (resistors.update(s.t, s.wm / wSync)) setRotorExternalResistance(machine, resistors.Rext);
+      if (field) {
+        // 界磁電流 [p.u.] と負荷角 δ [°]（開路中は直前の値を保持）
+        s.ifd = s.ir[machine.field.index] / machine.field.ifdBase;
+        if (!(vm[0] === 0 && vm[1] === 0)) delta = loadAngle(s.theta, vm);
+        s.delta = delta;
+        field.update(s.t, 1 - s.wm / wSync);
+      }
+    }
+  });
+
+  const dcA = cycleMean(samples.map(s => s.la), 100);
+  const dcB = cycleMean(samples.map(s => s.lb), 100);
+  const voltage = net ? networkVoltages(samples, supply, net, dt, Vp) : null;
+
+  const data = [];
+  const nStop = Math.ceil(stopS / dt - 1e-9);
+  for (let i = 0; i < nStop; i++) {
+    data.push({ t: i * dt * 1000, iU: 0, iV: 0, iW: 0, envP: 0, envN: 0, dcU: 0, dcV: 0, dcW: 0, speed: 0, slip: 1, Te: 0, TL: load(0), stage: 'stop', ...(isSync && { ifd: 0, delta: 0 }), ...(net && { vPcc: 100, vTerm: 100 }) });
+  }
+
+  const operatingSlip = findOperatingSlip(machine, loadPu);
+  let accelTime = null;
+  let maxI = 0;
+  let maxAmp = 0;
+  let transitionPeak = 0;
+  // 相ごとの直流分の最大値 [A]
+  const maxDc = [0, 0, 0];
+  // R_ext の段ごとの最大瞬時電流（全段短絡後を含む）
+  const stepPeaks = new Array(resistors.switches.length + 1).fill(0);
+  samples.forEach((s, i) => {
+    const iU = s.la;
+    const iV = -0.5 * s.la + SQRT3_2 * s.lb;
+    const iW = -0.5 * s.la - SQRT3_2 * s.lb;
+    const amp = Math.hypot(s.la - dcA[i], s.lb - dcB[i]);
+    const dcU = dcA[i];
+    const dcV = -0.5 * dcA[i] + SQRT3_2 * dcB[i];
+    const dcW = -0.5 * dcA[i] - SQRT3_2 * dcB[i];
+    [dcU, dcV, dcW].forEach((d, k) => { maxDc[k] = Math.max(maxDc[k], Math.abs(d)); });
+    const slip = 1 - s.wm / wSync;
+    const absI = Math.max(Math.abs(iU), Math.abs(iV), Math.abs(iW));
+    maxI = Math.max(maxI, absI);
+    maxAmp = Math.max(maxAmp, amp);
+    if (starter.changeover !== null && s.t >= starter.changeover) transitionPeak = Math.max(transitionPeak, absI);
+    stepPeaks[s.rotorStep] = Math.max(stepPeaks[s.rotorStep], absI);
+    if (accelTime === null && operatingSlip !== null && slip <= operatingSlip + ACCEL_SLIP_MARGIN) accelTime = s.t;
+    data.push({
+      t: stopTime + s.t * 1000,
+      iU, iV, iW,
+      envP: amp + Math.abs(dcU),
+      envN: -(amp + Math.abs(dcU)),
+      dcU, dcV, dcW,
+      speed: s.wm * 60 / (2 * Math.PI),
+      slip,
+      Te: s.Te,
+      TL: load(s.wm),
+      stage: s.stage,
+      ...(isSync && { ifd: s.ifd, delta: s.delta }),
+      ...(net && { vPcc: voltage.pcc[i], vTerm: voltage.terminal[i] })
+    });
+  });
+
+  // 加速未完了のまま直近 0.1 s で速度がほぼ変化していなければ停滞（ストール）とみなす
+  // 切替を伴う方式で、その 0.1 s が切替より前なら停滞とは判定せず未到達として扱う（切替後に加速し得るため）
+  const lastS = samples[samples.length - 1];
+  const refS = samples[Math.max(0, samples.length - 1 - Math.round(0.1 / dt))];
+  const stalled = accelTime === null && Math.abs(lastS.wm - refS.wm) < 1e-3 * wSync
+    && (starter.changeover === null || refS.t >= starter.changeover);
+
+  // 突入ピークは線路電流の交流分振幅の最大値（始動方式・切替の影響を含む）
+  return {
+    data, Irated, Ipeak, IpeakInrush: maxAmp, maxI, stopMs: stopTime,
+    viewMs: stopTime + viewTime * 1000,
+    mechanical: true,
+    // 極ごとの投入 { times: 最初に閉じた極からの遅れ [ms], angles: 各相の投入位相角 [°]（switchAngle と同じ定義） }
+    poles: {
+      times: breaker.times.map(tc => tc * 1000),
+      angles: rawTimes.map((tc, k) => (((switchAngle + omega * tc * 180 / Math.PI - 120 * k) % 360) + 360) % 360)
+    },
+    // 相ごとの直流分（1サイクル移動平均）の最大値 [A]（U・V・W）
+    maxDc,
+    J: machine.J,
+    Tn,
+    syncSpeed: wSync * 60 / (2 * Math.PI),
+    ratedSlip: machine.ratedSlip,
+    operatingSlip,
+    // 加速時間 [s]: 運転点のスリップ + ACCEL_SLIP_MARGIN に到達するまで。加速できない・計算時間内に未到達なら null
+    accelTime,
+    stalled,
+    // 切替（スターデルタ・単巻変圧器）の時刻 [s] と切替後の最大瞬時電流 [A]
+    changeover: starter.changeover,
+    transitionPeak: starter.changeover !== null && starter.changeover < runTime ? transitionPeak : null,
+    // R_ext の段 [{ R, start, end, peak }]（R [Ω]、start・end [s]、peak: その段の最大瞬時電流 [A]）。スケジュールなしは空配列
+    rotorSteps: params.rotorResistance?.length ? stepPeaks.map((peak, k) => ({
+      R: k === 0 ? Rext0 : resistors.switches[k - 1].to,
+      start: k === 0 ? 0 : resistors.switches[k - 1].t,
+      end: k < resistors.switches.length ? resistors.switches[k].t : runTime,
+      peak
+    })) : [],
+    // 電源系統（無限大母線は null）
+    //   scMVA: { pcc, terminal } 短絡容量 [MVA]、dipPcc・dipTerminal: 最大電圧低下 [%]（1サイクル実効値、定格電圧基準）
+    network: net ? {
+      scMVA: net.scMVA,
+      dipPcc: 100 - voltage.pcc.reduce((m, v) => Math.min(m, v), Infinity),
+      dipTerminal: 100 - voltage.terminal.reduce((m, v) => Math.min(m, v), Infinity)
+    } : null,
+    // 同期機の始動結果（誘導機は null）
+    //   status: PULL_IN_STATUS のキー、fieldTime: 界磁投入時刻 [s]、syncTime: 同期到達時刻 [s]、poleSlips: 脱調回数
+    sync: isSync ? {
+      ...evaluatePullIn(samples.map(s => ({ t: s.t, slip: 1 - s.wm / wSync, delta: s.delta })), field.time),
+      applySlip: field.applySlip
+    } : null
+  };
+}
+
+// 加速完了とみなす運転点からのスリップの余裕
+const ACCEL_SLIP_MARGIN = 0.01;
+
+// 等価回路のトルク特性と負荷特性が安定側（0 < s < 停動スリップ）で釣り合うスリップ
+// 負荷が最大トルクを超える場合は null
+function findOperatingSlip(machine, loadPu) {
+  const balance = s => machine.staticTorque(s) / machine.Tn - loadPu(1 - s);
+  let lo = 1e-6, hi = machine.breakdownSlip;
+  if (balance(hi) < 0) return null;
+  if (balance(lo) >= 0) return lo;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (balance(mid) < 0) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+}
+
+// 受電点・機端（始動器の電源側）の電圧 [%、定格相電圧の実効値基準]
+// 線路電流 i による電圧降下 R·i + L·di/dt を電源電圧から引き、電圧ベクトルの大きさの1サイクル実効値を求める
+// di/dt は出力サンプルの中心差分（端は片側差分）
+function networkVoltages(samples, supply, net, dt, Vp) {
+  const n = samples.length;
+  const diff = key => samples.map((s, i) => {
+    const a = samples[Math.max(0, i - 1)], b = samples[Math.min(n - 1, i + 1)];
+    return (b[key] - a[key]) / ((b.t - a.t) || dt);
+  });
+  const dA = diff('la'), dB = diff('lb');
+  const rms = z => {
+    const sq = samples.map((s, i) => {
+      const e = supply(s.t);
+      const va = e[0] - z.R * s.la - z.L * dA[i];
+      const vb = e[1] - z.R * s.lb - z.L * dB[i];
+      return va * va + vb * vb;
+    });
+    return cycleMean(sq, 100).map(m => Math.sqrt(m) / Vp * 100);
+  };
+  return { pcc: rms(net.pcc), terminal: rms(net.total) };
+}
+
+// 1サイクル（n点）の移動平均で直流分を取り出す。端では窓を範囲内にずらす
+function cycleMean(values, n) {
+  const len = values.length;
+  const prefix = new Float64Array(len + 1);
+  for (let i = 0; i < len; i++) prefix[i + 1] = prefix[i] + values[i];
+  const w = Math.min(n, len);
+  return values.map((_, i) => {
+    const lo = Math.min(Math.max(0, i - Math.floor(w / 2)), len - w);
+    return (prefix[lo + w] - prefix[lo]) / w;
+  });
+}
@@ -0,0 +1,82 @@
+// 非線形最小二乗（数値ヤコビアンの Levenberg-Marquardt 法）
+// nameplate.js（銘板データからの等価回路の推定）と parameter-fit.js（実測波形への当てはめ）で共用する。DOM に依存しない。
+
+// n×n の連立一次方程式（部分ピボット付きガウス消去。特異なら null）
+export function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    [M[c], M[p]] = [M[p], M[c]];
+    if (Math.abs(M[c][c]) < 1e-300) return null;
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = M[r][n];
+    for (let k = r + 1; k < n; k++) s -= M[r][k] * x[k];
+    x[r] = s / M[r][r];
+  }
+  return x;
+}
+
+const sumSquares = r => r.reduce((a, e) => a + e * e, 0);
+
+// 数値ヤコビアン（前進差分）
+function jacobian(residuals, x, r, h) {
+  const J = r.map(() => new Array(x.length));
+  x.forEach((_, j) => {
+    const xh = x.slice();
+    xh[j] += h;
+    const rh = residuals(xh);
+    rh.forEach((v, i) => { J[i][j] = (v - r[i]) / h; });
+  });
+  return J;
+}
+
+// 残差ベクトル residuals(x) の二乗和を最小にする x を求める
+//   x0: 初期値
+//   options.maxIterations: 反復回数の上限
+//   options.maxStep:       1回の更新で各変数が動く量の上限
+//   options.h:             差分の刻み
+//   options.tolerance:     これ以下の二乗和で打ち切る
+//   options.onIteration:   反復ごとに (反復回数, 二乗和) で呼ぶ
+// 戻り値: { x, r: 残差, cost: 二乗和, iterations, jacobian: 解でのヤコビアンを求める関数 }
+export function levenbergMarquardt(residuals, x0, { maxIterations = 200, maxStep = 2, h = 1e-6, tolerance = 1e-14, onIteration = null } = {}) {
+  let x = x0.slice();
+  let r = residuals(x);
+  let f = sumSquares(r);
+  let lambda = 1e-2;
+  let iter = 0;
+  for (; iter < maxIterations && f > tolerance; iter++) {
+    const J = jacobian(residuals, x, r, h);
+    const JtJ = x.map((_, a) => x.map((_, b) => J.reduce((s, row) => s + row[a] * row[b], 0)));
+    const Jtr = x.map((_, a) => J.reduce((s, row, i) => s + row[a] * r[i], 0));
+    let improved = false;
+    while (lambda < 1e10) {
+      const A = JtJ.map((row, a) => row.map((v, b) => a === b ? v * (1 + lambda) + 1e-12 : v));
+      const step = solveLinear(A, Jtr.map(v => -v));
+      if (step) {
+        const xn = x.map((v, i) => v + Math.max(-maxStep, Math.min(maxStep, step[i])));
+        const rn = residuals(xn);
+        const fn = sumSquares(rn);
+        if (fn < f) {
+          x = xn; r = rn;
+          improved = f - fn > 1e-15;
+          f = fn;
+          lambda = Math.max(1e-9, lambda / 3);
+          break;
+        }
+      }
+      lambda *= 4;
+    }
+    if (onIteration) onIteration(iter + 1, f);
+    if (!improved) break;
+  }
+  const xs = x, rs = r;
+  return { x, r, cost: f, iterations: iter, jacobian: () => jacobian(residuals, xs, rs, h) };
+}
@@ -0,0 +1,39 @@
+// 負荷トルク特性
+// 速度・トルクとも p.u.（速度は同期速度基準、トルクは定格トルク基準）
+
+export const LOAD_TYPES = {
+  constant: '定トルク（コンベア・クレーン）',
+  quadratic: '二乗トルク（ファン・ポンプ）',
+  table: 'テーブル指定'
+};
+
+// 負荷トルク関数 n → T を作る
+//   type:   'constant' | 'quadratic' | 'table'
+//   torque: 定トルク値、または二乗トルクの同期速度時の値 [p.u.]
+//   table:  [[速度, トルク], ...]（'table' のみ、速度順に線形補間）
+export function loadTorqueCurve({ type = 'constant', torque = 0, table = [] }) {
+  if (type === 'constant') return () => torque;
+  if (type === 'quadratic') return n => torque * n * n;
+  if (type !== 'table') throw new Error(`未知の負荷特性です: ${type}`);
+
+  const pts = table.filter(p => p.length >= 2 && isFinite(p[0]) && isFinite(p[1]))
+    .sort((a, b) => a[0] - b[0]);
+  if (pts.length === 0) return () => 0;
+  return n => {
+    if (n <= pts[0][0]) return pts[0][1];
+    for (let i = 1; i < pts.length; i++) {
+      if (n <= pts[i][0]) {
+        const [n0, t0] = pts[i - 1], [n1, t1] = pts[i];
+        return t0 + (t1 - t0) * (n - n0) / (n1 - n0);
+      }
+    }
+    return pts[pts.length - 1][1];
+  };
+}
+
+// テキスト（1行に「速度, トルク」）をテーブルに変換する。解釈できない行は無視する
+export function parseLoadTable(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.split(/[,\s\t]+/).filter(Boolean).map(Number))
+    .filter(p => p.length >= 2 && p.every(isFinite));
+}
@@ -0,0 +1,362 @@
+// dq軸（Park変換）による回転機の過渡モデル
+// 固定子磁束は静止座標（α-β）、回転子回路の磁束は回転子座標（d-q）で状態に持つ。
+// 回転子側の式に速度起電力が現れず、固定子側は相ごとの開閉を扱いやすい。
+//
+// 状態ベクトル y = [ψsα, ψsβ, ψ回転子回路..., ωm, θr]
+//   ψ: 磁束鎖交数 [Wb]、ωm: 機械角速度 [rad/s]、θr: 回転子電気角 [rad]
+// 回転子回路 windings: [{ axis: 'd' | 'q', R [Ω], Ll [H], v [V]（外部電圧、界磁のみ） }]（すべて一次換算）
+
+import { integrate } from './ode.js';
+import { breakdownSlip, ratedSlip, steadyState } from './equivalent-circuit.js';
+import { createMagnetizingCurve, remanentFluxVector } from './saturation.js';
+
+// 効率・力率を与えないときの 効率×力率（従来の定格電流式の値）
+const DEFAULT_EFFICIENCY_PF = 0.85;
+
+// 定格値から基準量を求める（容量基準 = 定格出力 / (効率 × 力率)）
+//   pf・efficiency: 定格力率・定格効率（0～1、銘板データのモーターのみ。省略時は 効率×力率 = 0.85）
+export function baseValues({ ratedPower, ratedVoltage, frequency, pf, efficiency }) {
+  const S = ratedPower * 1000 / (pf > 0 && efficiency > 0 ? pf * efficiency : DEFAULT_EFFICIENCY_PF);
+  const omega = 2 * Math.PI * frequency;
+  const Z = ratedVoltage * ratedVoltage / S;
+  return {
+    S,
+    V: ratedVoltage,
+    omega,
+    Z,
+    L: Z / omega,
+    Irated: S / (Math.sqrt(3) * ratedVoltage),
+    Vpeak: ratedVoltage * Math.sqrt(2) / Math.sqrt(3)
+  };
+}
+
+// 誘導機（かご形・巻線形。同期機定数 sync のない同期機もダンパ巻線の等価回路として扱う）
+//   motor.circuit: { R1, X1, Xm, R2, X2 } [p.u.]
+//   motor.poles:   極数
+//   motor.H:       慣性定数 [s]（inertia 未指定時の J の推定に使用）
+//   motor.pf・motor.efficiency: 定格力率・効率（省略可、baseValues 参照）
+//   inertia:       慣性モーメント J [kg·m²]
+//   saturation:    励磁回路の Ψ-i 曲線 [[i, ψ], ...] [p.u.]（省略・空配列で線形）
+//   remanence:     相ごとの残留磁束 [U, V, W] [p.u.]
+export function buildInductionMachine({ motor, ratedPower, ratedVoltage, frequency, inertia, saturation, remanence }) {
+  if (!motor.circuit) throw new Error(`${motor.name || motor.id} に等価回路定数 circuit がありません`);
+  const base = baseValues({ ratedPower, ratedVoltage, frequency, pf: motor.pf, efficiency: motor.efficiency });
+  const { R1, X1, Xm, R2, X2 } = motor.circuit;
+  const poles = motor.poles || 4;
+  const wSync = base.omega / (poles / 2);
+  const sn = ratedSlip(motor.circuit, ratedPower * 1000 / base.S);
+  const J = inertia > 0 ? inertia : 2 * (motor.H || 0.5) * base.S / (wSync * wSync);
+
+  return withMagnetics({
+    kind: 'induction',
+    base,
+    poles,
+    J,
+    Rs: R1 * base.Z,
+    Rr: R2 * base.Z,
+    Lls: X1 * base.L,
+    Lmd: Xm * base.L,
+    Lmq: Xm * base.L,
+    windings: [
+      { axis: 'd', R: R2 * base.Z, Ll: X2 * base.L },
+      { axis: 'q', R: R2 * base.Z, Ll: X2 * base.L }
+    ],
+    ratedSlip: sn,
+    wSync,
+    Tn: ratedPower * 1000 / (wSync * (1 - sn)),
+    // 停動時（s=1）の定常インピーダンス角と電流 [p.u.]
+    lockedRotor: steadyState(motor.circuit, 1),
+    // 等価回路によるトルク-スリップ特性 [N·m]
+    staticTorque: slip => steadyState(motor.circuit, slip).Pag * base.S / wSync,
+    breakdownSlip: breakdownSlip(motor.circuit)
+  }, saturation, remanence);
+}
+
+// 同期機（ダンパ巻線による非同期始動から界磁投入・同期引入れまで）
+//   motor.circuit: 始動時（ダンパ巻線）の等価回路 { R1, X1, Xm, R2, X2 } [p.u.]。停動時の位相・非同期トルク特性に使用
+//   motor.sync:    { Xd, Xq, Rfd, Xlfd, Rkd, Xlkd, Rkq, Xlkq } [p.u.]
+// 回転子回路は windings[0] = 界磁（d軸）、[1] = d軸ダンパ、[2] = q軸ダンパ
+// 界磁電流の基準 ifdBase は無負荷で定格電圧を誘起する値（一次換算、A）
+// saturation は d軸の Ψ-i 曲線として扱う（q軸は線形）
+export function buildSynchronousMachine({ motor, ratedPower, ratedVoltage, frequency, inertia, saturation, remanence }) {
+  if (!motor.circuit || !motor.sync) throw new Error(`${motor.name || motor.id} に同期機定数 sync がありません`);
+  const base = baseValues({ ratedPower, ratedVoltage, frequency, pf: motor.pf, efficiency: motor.efficiency });
+  const { R1, X1 } = motor.circuit;
+  const { Xd, Xq, Rfd, Xlfd, Rkd, Xlkd, Rkq, Xlkq } = motor.sync;
+  const poles = motor.poles || 4;
+  const wSync = base.omega / (poles / 2);
+  const J = inertia > 0 ? inertia : 2 * (motor.H || 0.5) * base.S / (wSync * wSync);
+  const Lmd = (Xd - X1) * base.L;
+
+  return withMagnetics({
+    kind: 'synchronous',
+    base,
+    poles,
+    J,
+    Rs: R1 * base.Z,
+    Lls: X1 * base.L,
+    Lmd,
+    Lmq: (Xq - X1) * base.L,
+    windings: [
+      { axis: 'd', R: Rfd * base.Z, Ll: Xlfd * base.L, v: 0 },
+      { axis: 'd', R: Rkd * base.Z, Ll: Xlkd * base.L },
+      { axis: 'q', R: Rkq * base.Z, Ll: Xlkq * base.L }
+    ],
+    field: { index: 0, R: Rfd * base.Z, ifdBase: base.Vpeak / (base.omega * Lmd) },
+    ratedSlip: 0,
+    wSync,
+    Tn: ratedPower * 1000 / wSync,
+    lockedRotor: steadyState(motor.circuit, 1),
+    // ダンパ巻線による非同期トルク特性 [N·m]
+    staticTorque: slip => steadyState(motor.circuit, slip).Pag * base.S / wSync,
+    breakdownSlip: breakdownSlip(motor.circuit)
+  }, saturation, remanence);
+}
+
+// 飽和特性と残留磁束を設定する
+//   magnetizing:  Ψ-i 曲線（null で線形）。誘導機は主磁束ベクトルの大きさ、同期機は d軸で飽和する
+//   remanentFlux: 投入時の主磁束 [ψα, ψβ] [Wb]（すべての巻線が同じ磁束を持ち電流 0 の状態から始める）
+//   bias:         残留磁束で励磁電流が 0 となるよう曲線をずらす量（静止座標の電流 [A]）。
+//                 固定したままでは直流制動として働くため、交番磁化で消えるものとして
+//                 REMANENCE_DECAY で減衰させる（simulateMachine がサンプルごとに更新）
+function withMagnetics(m, saturation, remanence) {
+  m.magnetizing = saturation && saturation.length ? createMagnetizingCurve(saturation, m.base) : null;
+  const [ra, rb] = m.remanentFlux = remanentFluxVector(remanence, m.base);
+  const mg = m.magnetizing;
+  if (mg && m.kind === 'induction') {
+    const mag = Math.hypot(ra, rb);
+    m.bias = mag > 0 ? [ra / mag * mg.current(mag), rb / mag * mg.current(mag)] : [0, 0];
+  } else {
+    m.bias = [mg ? mg.current(ra) : ra / m.Lmd, rb / m.Lmq];
+  }
+  m.bias0 = m.bias.slice();
+  return m;
+}
+
+// 残留磁束によるずれの減衰時定数 [s]
+export const REMANENCE_DECAY = 0.1;
+
+// 主磁束（回転子座標）を求める
+//   Nd, Nq: 各巻線の Σ ψ/Ll、Gd, Gq: Σ 1/Ll、c, s: 回転子角の cos・sin
+// 線形は ψm = (N + B) / (1/Lm + G)、飽和時は im(ψm) + G·ψm = N + B を解く（B: バイアス電流）
+function mainFlux(m, Nd, Nq, Gd, Gq, c, s) {
+  const bd = c * m.bias[0] + s * m.bias[1];
+  const bq = -s * m.bias[0] + c * m.bias[1];
+  const nd = Nd + bd, nq = Nq + bq;
+  const mg = m.magnetizing;
+  if (!mg) return [nd / (1 / m.Lmd + Gd), nq / (1 / m.Lmq + Gq)];
+  if (m.kind !== 'induction') return [mg.solve(nd, Gd), nq / (1 / m.Lmq + Gq)];
+  // 誘導機は d・q 対称なので主磁束は (nd, nq) と同じ向き
+  const n = Math.hypot(nd, nq);
+  if (n === 0) return [0, 0];
+  const x = mg.solve(n, Gd);
+  return [x * nd / n, x * nq / n];
+}
+
+// 同期機の界磁回路を設定する
+//   applied = false: 界磁を放電抵抗 Rdis [Ω、一次換算] で短絡（非同期始動中）
+//   applied = true:  界磁電流 ifd [p.u.] を流す直流電圧を印加
+export function setFieldExcitation(m, { applied, ifd = 1, Rdis = 0 }) {
+  const w = m.windings[m.field.index];
+  w.R = applied ? m.field.R : m.field.R + Rdis;
+  w.v = applied ? m.field.R * ifd * m.field.ifdBase : 0;
+}
+
+// 巻線形の二次外部抵抗 R_ext [Ω、一次換算] を設定する（回転子 d・q 巻線に直列）
+// 積分中に変更する場合は onSample から呼ぶ（サンプル間では一定）
+export function setRotorExternalResistance(m, Rext) {
+  m.windings.forEach(w => { w.R = m.Rr + Rext; });
+}
+
+// 電源側（系統・ケーブル）の直列インピーダンス R [Ω]・L [H] を設定する
+// 固定子の抵抗・漏れインダクタンスに加えて扱うため、状態の固定子磁束は電源の内部起電力から見た ψs + L·is となる
+// 積分中に変更する場合は onSample から呼ぶ（simulateMachine が電流を保つよう状態を補正する）
+export function setSupplyImpedance(m, R, L) {
+  if (!m.stator) m.stator = { Rs: m.Rs, Lls: m.Lls };
+  m.Rs = m.stator.Rs + R;
+  m.Lls = m.stator.Lls + L;
+}
+
+// 磁束から電流を求める
+// 各軸で主磁束 ψm を mainFlux() で求め、i = (ψ − ψm) / Ll
+export function machineCurrents(m, y) {
+  const nw = m.windings.length;
+  const theta = y[nw + 3];
+  const c = Math.cos(theta), s = Math.sin(theta);
+  const psd = c * y[0] + s * y[1];
+  const psq = -s * y[0] + c * y[1];
+
+  let Nd = psd / m.Lls, Nq = psq / m.Lls;
+  let Gd = 1 / m.Lls, Gq = 1 / m.Lls;
+  for (let k = 0; k < nw; k++) {
+    const w = m.windings[k];
+    if (w.axis === 'd') { Nd += y[2 + k] / w.Ll; Gd += 1 / w.Ll; }
+    else { Nq += y[2 + k] / w.Ll; Gq += 1 / w.Ll; }
+  }
+  const [pmd, pmq] = mainFlux(m, Nd, Nq, Gd, Gq, c, s);
+
+  const isd = (psd - pmd) / m.Lls;
+  const isq = (psq - pmq) / m.Lls;
+  const ir = new Array(nw);
+  for (let k = 0; k < nw; k++) {
+    const w = m.windings[k];
+    ir[k] = (y[2 + k] - (w.axis === 'd' ? pmd : pmq)) / w.Ll;
+  }
+  return {
+    ia: c * isd - s * isq,
+    ib: s * isd + c * isq,
+    isd, isq, ir, pmd, pmq
+  };
+}
+
+// 固定子電流が (iα, iβ) となる固定子磁束 [ψα, ψβ] を回転子磁束から求める
+// 励磁電流 im = is + Σ ik、ik = (ψk − ψm) / Llk から主磁束を求め、ψs = ψm + Lls·is
+function statorFluxForCurrent(m, y, ia, ib) {
+  const nw = m.windings.length;
+  const theta = y[nw + 3];
+  const c = Math.cos(theta), s = Math.sin(theta);
+  const isd = c * ia + s * ib;
+  const isq = -s * ia + c * ib;
+  let Nd = isd, Nq = isq, Gd = 0, Gq = 0;
+  for (let k = 0; k < nw; k++) {
+    const w = m.windings[k];
+    if (w.axis === 'd') { Nd += y[2 + k] / w.Ll; Gd += 1 / w.Ll; }
+    else { Nq += y[2 + k] / w.Ll; Gq += 1 / w.Ll; }
+  }
+  const [pmd, pmq] = mainFlux(m, Nd, Nq, Gd, Gq, c, s);
+  const psd = pmd + m.Lls * isd;
+  const psq = pmq + m.Lls * isq;
+  return [c * psd - s * psq, s * psd + c * psq];
+}
+
+// 固定子開路（全相の電流 0）となる固定子磁束を回転子磁束から求め、状態を置き換える
+export function openCircuitState(m, y) {
+  const out = y.slice();
+  [out[0], out[1]] = statorFluxForCurrent(m, y, 0, 0);
+  return out;
+}
+
+// 二相のみ閉路（中性点非接地なので電流は単位ベクトル e の向きに限られる）の状態に置き換える
+// 状態の e 方向成分 e·ψs を保ち、固定子電流が is = i·e となる i を割線法で求める（線形磁気回路では1回で収束）
+export function twoPoleState(m, y, e) {
+  const target = e[0] * y[0] + e[1] * y[1];
+  const residual = i => {
+    const ps = statorFluxForCurrent(m, y, i * e[0], i * e[1]);
+    return { ps, r: e[0] * ps[0] + e[1] * ps[1] - target };
+  };
+  let i0 = 0, f0 = residual(0);
+  let i1 = -f0.r / m.Lls, f1 = residual(i1);
+  const tol = m.base.Vpeak / m.base.omega * 1e-12;
+  for (let k = 0; k < 30 && Math.abs(f1.r) > tol && f1.r !== f0.r; k++) {
+    const i2 = i1 - f1.r * (i1 - i0) / (f1.r - f0.r);
+    i0 = i1; f0 = f1;
+    i1 = i2; f1 = residual(i2);
+  }
+  const out = y.slice();
+  [out[0], out[1]] = f1.ps;
+  return out;
+}
+
+// 機端の接続状態に合わせて固定子磁束を拘束する（source の戻り値の形は machineDerivative 参照）
+export function constrainState(m, y, v) {
+  if (v === null) return openCircuitState(m, y);
+  if (!Array.isArray(v)) return twoPoleState(m, y, v.dir);
+  return y;
+}
+
+// 電磁トルク [N·m]（振幅不変 Clarke 変換のため 3/2 倍）
+export function electromagneticTorque(m, y, cur) {
+  return 1.5 * (m.poles / 2) * (y[0] * cur.ib - y[1] * cur.ia);
+}
+
+// 状態の微分
+//   source(t) → 機端の接続状態と電圧
+//     [vα, vβ]:              三相とも閉路。機端に加わる電圧 [V]
+//     null:                  開路（0・1相のみ閉路を含む）
+//     { v: [vα, vβ], dir }:  二相のみ閉路。電流は単位ベクトル dir の向きに限られ、電圧は dir 成分だけが効く
+//   load(ωm) → 負荷トルク [N·m]
+export function machineDerivative(m, source, load) {
+  const nw = m.windings.length;
+  return (t, y) => {
+    const v = source(t);
+    y = constrainState(m, y, v);
+    const cur = machineCurrents(m, y);
+    const dy = new Array(nw + 4);
+    if (v === null) {
+      dy[0] = dy[1] = 0;
+    } else if (Array.isArray(v)) {
+      dy[0] = v[0] - m.Rs * cur.ia;
+      dy[1] = v[1] - m.Rs * cur.ib;
+    } else {
+      // e 方向だけを積分し、直交成分は拘束（is⊥ = 0）から決める
+      const e = v.dir;
+      const de = e[0] * v.v[0] + e[1] * v.v[1] - m.Rs * (e[0] * cur.ia + e[1] * cur.ib);
+      dy[0] = e[0] * de;
+      dy[1] = e[1] * de;
+    }
+    for (let k = 0; k < nw; k++) dy[2 + k] = (m.windings[k].v || 0) - m.windings[k].R * cur.ir[k];
+
+    const wm = y[nw + 2];
+    const Te = electromagneticTorque(m, y, cur);
+    const TL = load(wm);
+    let dw = (Te - TL) / m.J;
+    // 停止中に負荷トルクが始動トルクを上回る場合は逆転させない
+    if (wm <= 0 && dw < 0) dw = 0;
+    dy[nw + 2] = dw;
+    dy[nw + 3] = (m.poles / 2) * wm;
+    return dy;
+  };
+}
+
+// 投入から tEnd [s] までを積分し、dtOut [s] ごとの結果を返す
+//   solver:   { method: 'rk4' | 'rk45', h, rtol }
+//   onSample: 各サンプル時刻に結果を受け取る関数（次の区間の積分前に呼ぶので、始動器の切替判定に使える）
+export function simulateMachine(m, { source, load, tEnd, dtOut, solver = {}, onSample }) {
+  const nw = m.windings.length;
+  const f = machineDerivative(m, source, load);
+  const period = 2 * Math.PI / m.base.omega;
+  const psiBase = m.base.Vpeak / m.base.omega;
+  const opts = {
+    method: solver.method || 'rk4',
+    h: solver.h || period / 200,
+    rtol: solver.rtol || 1e-5,
+    atol: [...new Array(nw + 2).fill(psiBase * 1e-6), m.wSync * 1e-6, 1e-6],
+    hMax: period / 20,
+    // 開路・二相閉路中は各ステップ後に電流の拘束へ戻す
+    project: (t, yy) => constrainState(m, yy, source(t))
+  };
+
+  // 投入時は全巻線が残留磁束を共有し、電流 0・停止状態（θr = 0 なので回転子座標 = 静止座標）
+  let y = new Array(nw + 4).fill(0);
+  y[0] = m.remanentFlux[0];
+  y[1] = m.remanentFlux[1];
+  m.windings.forEach((w, k) => { y[2 + k] = w.axis === 'd' ? m.remanentFlux[0] : m.remanentFlux[1]; });
+  const steps = Math.floor(tEnd / dtOut + 1e-9);
+  const out = [];
+  const record = (t) => {
+    const cur = machineCurrents(m, y);
+    const sample = { t, ia: cur.ia, ib: cur.ib, ir: cur.ir, Te: electromagneticTorque(m, y, cur), wm: y[nw + 2], theta: y[nw + 3] };
+    out.push(sample);
+    const Lls = m.Lls;
+    if (onSample) onSample(sample);
+    // 電源側インダクタンスが変わったら、電流が連続となるよう状態の固定子磁束を補正する
+    if (m.Lls !== Lls) {
+      y = y.slice();
+      y[0] += (m.Lls - Lls) * cur.ia;
+      y[1] += (m.Lls - Lls) * cur.ib;
+    }
+    const decay = Math.exp(-t / REMANENCE_DECAY);
+    m.bias = [m.bias0[0] * decay, m.bias0[1] * decay];
+    // 開路・二相閉路へ切り替わった時点で電流を拘束する
+    y = constrainState(m, y, source(t));
+  };
+
+  record(0);
+  for (let i = 1; i <= steps; i++) {
+    const r = integrate(f, (i - 1) * dtOut, y, i * dtOut, opts);
+    y = r.y;
+    opts.h = r.h;
+    record(i * dtOut);
+  }
+  return out;
+}
@@ -0,0 +1,13 @@
+// monte-carlo.js の計算を Web Worker で動かす（画面から条件を分けて複数の Worker に配る）
+// 受信: runSamples() の入力、送信: { type: 'progress', done } / { type: 'done', peaks } / { type: 'error', message }
+
+import { runSamples } from './monte-carlo.js';
+
+self.onmessage = e => {
+  try {
+    const peaks = runSamples(e.data, done => { if (done % 10 === 0) self.postMessage({ type: 'progress', done }); });
+    self.postMessage({ type: 'done', peaks });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,108 @@
+// 統計的な投入の検討（モンテカルロ法）
+// 投入位相角・極間ばらつき・電源電圧・モーター定数を分布から抽出して simulateInrush() を N 回繰り返し、
+// 最大瞬時電流の分布（ヒストグラム・累積分布・2 % / 98 % 値）を求める。
+// 抽出は種から再現可能で、各回の条件を先にまとめて作るので Worker の数に結果がよらない。DOM に依存しない。
+
+import { simulateInrush } from './inrush-engine.js';
+import { seededRandom, drawScatter } from './breaker.js';
+
+// 投入位相角の分布
+export const ANGLE_DISTRIBUTIONS = {
+  uniform: '一様 (0～360°)',
+  normal: '正規分布（画面の値が中心、σ）',
+  fixed: '固定（画面の値）'
+};
+
+// 既定値（画面の初期値と同じ）。電圧・モーター定数の分布は SCATTER_DISTRIBUTIONS のキー
+export const MONTE_CARLO_DEFAULTS = {
+  runs: 1000,
+  cycles: 10,                                         // 投入から計算するサイクル数
+  angle: { distribution: 'uniform', spread: 30 },     // σ [°]
+  poles: { distribution: 'normal', spread: 1 },       // 極間ばらつき [ms]（等価回路モデルのみ）
+  voltage: { distribution: 'none', spread: 5 },       // 電源電圧 [%]
+  motor: { distribution: 'none', spread: 5 },         // モーター定数 [%]（簡易: 突入倍率・DC減衰時定数、等価回路: R1～X2 を独立に）
+  seed: 1
+};
+
+const CIRCUIT_KEYS = ['R1', 'X1', 'Xm', 'R2', 'X2'];
+// 極端な抽出で定数が負にならないよう、倍率の下限を置く
+const MIN_FACTOR = 0.05;
+
+// 各回の条件 { switchAngle, poleSeed, supplyVoltage, factors } の配列
+//   switchAngle: 画面の投入位相角（正規分布・固定のときの中心）
+export function drawSamples(config, switchAngle) {
+  const c = { ...MONTE_CARLO_DEFAULTS, ...config };
+  const rand = seededRandom(c.seed);
+  const factor = ({ distribution, spread }) => Math.max(MIN_FACTOR, 1 + drawScatter(distribution, spread, rand) / 100);
+  return Array.from({ length: c.runs }, () => {
+    const angle = c.angle.distribution === 'uniform' ? rand() * 360
+      : c.angle.distribution === 'normal' ? switchAngle + drawScatter('normal', c.angle.spread, rand)
+      : switchAngle;
+    return {
+      switchAngle: ((angle % 360) + 360) % 360,
+      poleSeed: Math.floor(rand() * 2 ** 31) + 1,
+      supplyVoltage: factor(c.voltage),
+      factors: CIRCUIT_KEYS.map(() => factor(c.motor))
+    };
+  });
+}
+
+// 1回分の simulateInrush() の入力
+function sampleParams(params, config, s) {
+  const { motor } = params;
+  const p = {
+    ...params,
+    switchAngle: s.switchAngle,
+    supplyVoltage: s.supplyVoltage,
+    viewCycles: config.cycles,
+    runTime: 0,
+    breaker: { ...params.breaker, scatter: config.poles.distribution, spread: config.poles.spread, seed: s.poleSeed }
+  };
+  if (params.model === 'simple') {
+    p.motor = { ...motor, inrushMultiplier: motor.inrushMultiplier * s.factors[0] };
+    p.dcTau = params.dcTau * s.factors[1];
+  } else {
+    p.motor = { ...motor, circuit: Object.fromEntries(CIRCUIT_KEYS.map((k, i) => [k, motor.circuit[k] * s.factors[i]])) };
+  }
+  return p;
+}
+
+// 条件の一部（Worker 1つ分）を計算する
+//   onProgress: 1回ごとに (済んだ回数) で呼ぶ
+// 戻り値: 各回の最大瞬時電流 [A]（計算できなかった回は NaN）
+export function runSamples({ params, config, samples }, onProgress = () => {}) {
+  const c = { ...MONTE_CARLO_DEFAULTS, ...config };
+  return samples.map((s, i) => {
+    let peak;
+    try {
+      peak = simulateInrush(sampleParams(params, c, s)).maxI;
+    } catch (e) {
+      peak = NaN;
+    }
+    onProgress(i + 1);
+    return peak;
+  });
+}
+
+// 分位点（昇順に並べた値の線形補間）
+function quantile(sorted, q) {
+  const x = (sorted.length - 1) * q;
+  const i = Math.floor(x);
+  return i + 1 < sorted.length ? sorted[i] + (x - i) * (sorted[i + 1] - sorted[i]) : sorted[i];
+}
+
+// 分布の統計量
+//   bins: ヒストグラムの階級数
+// 戻り値: { n, failed, mean, sd, min, max, p2, p98（2 % / 98 % 値）, sorted（累積分布用）, histogram: [{ from, to, count }] }
+export function peakStatistics(peaks, bins = 30) {
+  const sorted = peaks.filter(Number.isFinite).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (!n) return null;
+  const mean = sorted.reduce((a, x) => a + x, 0) / n;
+  const sd = Math.sqrt(sorted.reduce((a, x) => a + (x - mean) ** 2, 0) / Math.max(1, n - 1));
+  const min = sorted[0], max = sorted[n - 1];
+  const width = (max - min) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, k) => ({ from: min + k * width, to: min + (k + 1) * width, count: 0 }));
+  sorted.forEach(x => { histogram[Math.min(bins - 1, Math.floor((x - min) / width))].count++; });
+  return { n, failed: peaks.length - n, mean, sd, min, max, p2: quantile(sorted, 0.02), p98: quantile(sorted, 0.98), sorted, histogram };
+}
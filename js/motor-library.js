@@ -0,0 +1,197 @@
+// ユーザー定義モーターのライブラリ（localStorage への保存と JSON ファイルの入出力）
+// レコードは index.html の MOTORS と同じ形に、定格 rating { ratedPower [kW], ratedVoltage [V], frequency [Hz] } と
+// 力率 pf・効率 efficiency（0～1）を加えたもの。ファイルは { format, version, motors } の形で版を持つ。
+
+export const LIBRARY_FORMAT = 'motor-inrush-library';
+export const LIBRARY_VERSION = 1;
+export const STORAGE_KEY = 'motor-inrush-simulator.library';
+
+export const MOTOR_CATEGORIES = ['誘導機', '同期機'];
+export const ROTOR_TYPES = {
+  cage: 'かご形',
+  wound: '巻線形',
+  salient: '突極形',
+  cylindrical: '円筒形'
+};
+// id に使える文字（HTML の属性やシナリオの URL にそのまま置けるもの）
+export const MOTOR_ID_PATTERN = /^[\w-]+$/;
+
+export const CIRCUIT_KEYS = ['R1', 'X1', 'Xm', 'R2', 'X2'];
+export const SYNC_KEYS = ['Xd', 'Xq', 'Rfd', 'Xlfd', 'Rkd', 'Xlkd', 'Rkq', 'Xlkq'];
+
+// 新規作成時のレコード（かご形誘導機の代表値）
+export const NEW_MOTOR = {
+  name: '新しいモーター',
+  category: '誘導機',
+  description: '',
+  features: [],
+  applications: '',
+  inrushMultiplier: 6,
+  startTorque: 1.5,
+  rotorType: 'cage',
+  poles: 4,
+  H: 0.5,
+  circuit: { R1: 0.02, X1: 0.075, Xm: 3.5, R2: 0.032, X2: 0.075 },
+  saturation: [[0.257, 0.9], [0.303, 1.0], [0.393, 1.1], [0.549, 1.2], [0.817, 1.3], [1.8, 1.5], [7.43, 2.0]]
+};
+
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+// モーターのレコードを検証する
+//   path: エラーメッセージの接頭辞（例 'motors[2]'）
+// 戻り値: エラーメッセージの配列（空なら正常）
+export function validateMotor(m, path = 'motor') {
+  const errors = [];
+  const err = (key, msg) => errors.push(`${path}${key ? '.' + key : ''}: ${msg}`);
+  if (!m || typeof m !== 'object' || Array.isArray(m)) {
+    err('', 'オブジェクトではありません');
+    return errors;
+  }
+  if (typeof m.id !== 'string' || !MOTOR_ID_PATTERN.test(m.id)) err('id', '英数字・_・- からなる空でない文字列が必要です');
+  if (typeof m.name !== 'string' || !m.name.trim()) err('name', '名称が必要です');
+  if (!MOTOR_CATEGORIES.includes(m.category)) err('category', `${MOTOR_CATEGORIES.join('・')} のいずれかが必要です`);
+  if (!(m.rotorType in ROTOR_TYPES)) err('rotorType', `${Object.keys(ROTOR_TYPES).join(' / ')} のいずれかが必要です`);
+  if (!Number.isInteger(m.poles) || m.poles < 2 || m.poles % 2) err('poles', '2 以上の偶数が必要です');
+  if (!(isNum(m.H) && m.H > 0)) err('H', '正の数値が必要です');
+  if (!(isNum(m.inrushMultiplier) && m.inrushMultiplier > 0)) err('inrushMultiplier', '正の数値が必要です');
+  if (!(isNum(m.startTorque) && m.startTorque >= 0)) err('startTorque', '0 以上の数値が必要です');
+  ['description', 'applications'].forEach(k => {
+    if (m[k] !== undefined && typeof m[k] !== 'string') err(k, '文字列が必要です');
+  });
+  if (m.features !== undefined && !(Array.isArray(m.features) && m.features.every(f => typeof f === 'string'))) {
+    err('features', '文字列の配列が必要です');
+  }
+
+  if (!m.circuit || typeof m.circuit !== 'object') err('circuit', `等価回路定数 { ${CIRCUIT_KEYS.join(', ')} } が必要です`);
+  else CIRCUIT_KEYS.forEach(k => { if (!(isNum(m.circuit[k]) && m.circuit[k] > 0)) err(`circuit.${k}`, '正の数値 [p.u.] が必要です'); });
+
+  if (m.category === '同期機' && m.sync === undefined) err('sync', `同期機には同期機定数 { ${SYNC_KEYS.join(', ')} } が必要です`);
+  if (m.sync !== undefined) {
+    if (!m.sync || typeof m.sync !== 'object') err('sync', 'オブジェクトが必要です');
+    else SYNC_KEYS.forEach(k => { if (!(isNum(m.sync[k]) && m.sync[k] > 0)) err(`sync.${k}`, '正の数値 [p.u.] が必要です'); });
+  }
+
+  if (m.saturation !== undefined) {
+    const ok = Array.isArray(m.saturation) && m.saturation.every(p => Array.isArray(p) && p.length === 2 && p.every(v => isNum(v) && v > 0));
+    if (!ok) err('saturation', '[励磁電流, 主磁束] の正の数値の組の配列が必要です');
+    else if (m.saturation.some((p, i) => i > 0 && (p[0] <= m.saturation[i - 1][0] || p[1] <= m.saturation[i - 1][1]))) {
+      err('saturation', '励磁電流・主磁束とも単調増加である必要があります');
+    }
+  }
+
+  ['pf', 'efficiency'].forEach(k => {
+    if (m[k] !== undefined && !(isNum(m[k]) && m[k] > 0 && m[k] <= 1)) err(k, '0 より大きく 1 以下の数値が必要です');
+  });
+  if (m.rating !== undefined) {
+    const r = m.rating;
+    if (!r || typeof r !== 'object') err('rating', 'オブジェクトが必要です');
+    else {
+      if (!(isNum(r.ratedPower) && r.ratedPower > 0)) err('rating.ratedPower', '正の数値 [kW] が必要です');
+      if (!(isNum(r.ratedVoltage) && r.ratedVoltage > 0)) err('rating.ratedVoltage', '正の数値 [V] が必要です');
+      if (![50, 60].includes(r.frequency)) err('rating.frequency', '50 または 60 が必要です');
+    }
+  }
+  return errors;
+}
+
+// ライブラリファイル（JSON 文字列）を読み込んで検証する
+// 戻り値: { motors, errors }（errors が空でなければ motors は使わない）
+export function parseLibraryFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { motors: [], errors: [`JSON として読み込めません（${e.message}）`] };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { motors: [], errors: ['ライブラリファイルの形式ではありません（オブジェクトが必要です）'] };
+  if (data.format !== LIBRARY_FORMAT) return { motors: [], errors: [`format が "${LIBRARY_FORMAT}" ではありません`] };
+  if (!Number.isInteger(data.version) || data.version < 1) return { motors: [], errors: ['version（1 以上の整数）がありません'] };
+  if (data.version > LIBRARY_VERSION) {
+    return { motors: [], errors: [`新しい版のファイルです（v${data.version}、このシミュレーターは v${LIBRARY_VERSION} まで）`] };
+  }
+  if (!Array.isArray(data.motors)) return { motors: [], errors: ['motors（モーターの配列）がありません'] };
+  const errors = data.motors.flatMap((m, i) => validateMotor(m, `motors[${i}]`));
+  const ids = data.motors.map(m => m && m.id);
+  ids.forEach((id, i) => { if (id && ids.indexOf(id) !== i) errors.push(`motors[${i}].id: "${id}" が重複しています`); });
+  return { motors: errors.length ? [] : data.motors, errors };
+}
+
+// ライブラリファイルの内容（JSON 文字列）
+export function serializeLibrary(motors) {
+  return JSON.stringify({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION, motors }, null, 2);
+}
+
+// 重複しない id
+function newId(taken) {
+  let id;
+  do id = 'lib-' + Math.random().toString(36).slice(2, 10); while (taken.has(id));
+  return id;
+}
+
+const clone = m => JSON.parse(JSON.stringify(m));
+
+// ライブラリを作る
+//   storage:  localStorage と同じ getItem・setItem を持つもの（使えなければメモリ上だけで保持）
+//   reserved: 組込みのモーターの id（ライブラリの id と重ならないようにする）
+// 保存に失敗したときは save() などが例外を投げる。保存済みの内容を読み込めなかった理由は loadErrors に置く
+export function createLibrary(storage, reserved = []) {
+  let motors = [];
+  let loadErrors = [];
+  try {
+    const text = storage && storage.getItem(STORAGE_KEY);
+    if (text) {
+      const parsed = parseLibraryFile(text);
+      motors = parsed.motors;
+      if (parsed.errors.length) loadErrors = ['保存されたモーターライブラリを読み込めません:', ...parsed.errors];
+    }
+  } catch (e) {
+    loadErrors = [`モーターライブラリの保存領域を使えません（${e.message}）`];
+  }
+  const taken = () => new Set([...reserved, ...motors.map(m => m.id)]);
+  const persist = () => {
+    if (storage) storage.setItem(STORAGE_KEY, serializeLibrary(motors));
+  };
+
+  return {
+    loadErrors,
+    list: () => motors.map(clone),
+    get: id => {
+      const m = motors.find(m => m.id === id);
+      return m ? clone(m) : null;
+    },
+    // 追加・更新（id がなければ新規）。検証エラーがあれば保存せずに返す
+    save(motor) {
+      const m = clone(motor);
+      if (!m.id || reserved.includes(m.id)) m.id = newId(taken());
+      const errors = validateMotor(m);
+      if (errors.length) return { motor: null, errors };
+      const i = motors.findIndex(x => x.id === m.id);
+      if (i >= 0) motors[i] = m; else motors.push(m);
+      persist();
+      return { motor: clone(m), errors: [] };
+    },
+    // 複製（組込みのモーターなど、ライブラリ外のレコードも渡せる）
+    duplicate(motor) {
+      return this.save({ ...clone(motor), id: '', name: `${motor.name}（コピー）` });
+    },
+    remove(id) {
+      motors = motors.filter(m => m.id !== id);
+      persist();
+    },
+    exportJson: () => serializeLibrary(motors),
+    // 読み込み。mode: 'merge'（同じ id は置き換え、組込みと重なる id は振り直し）または 'replace'
+    importJson(text, mode = 'merge') {
+      const parsed = parseLibraryFile(text);
+      if (parsed.errors.length) return { count: 0, errors: parsed.errors };
+      if (mode === 'replace') motors = [];
+      parsed.motors.forEach(m => {
+        const rec = clone(m);
+        if (reserved.includes(rec.id)) rec.id = newId(taken());
+        const i = motors.findIndex(x => x.id === rec.id);
+        if (i >= 0) motors[i] = rec; else motors.push(rec);
+      });
+      persist();
+      return { count: parsed.motors.length, errors: [] };
+    }
+  };
+}
@@ -0,0 +1,181 @@
+// 銘板データから誘導機 T形等価回路の定数を推定する
+// 定格点（スリップ・無効電流・出力）と停動時（始動電流・始動トルク）、最大トルクを目標に
+// R1・X1・Xm・R2・X2 [p.u.] を対数空間の Levenberg-Marquardt 法で最小二乗推定する。
+// 容量基準は 定格出力 / (効率 × 力率)（定格電流 = 1 p.u.）。等価回路の損失は銅損だけなので、
+// 鉄損・機械損の分だけ有効電流は銘板より小さくなる（定格電流・力率の再現値として表示する）。
+// 単一かごの等価回路では始動電流・始動トルク・最大トルクを同時に満たせないことがあり、その場合は各目標の誤差を返す。
+
+import { steadyState } from './equivalent-circuit.js';
+import { levenbergMarquardt } from './least-squares.js';
+
+// 既定値（画面の初期値と同じ。効率は %）
+export const NAMEPLATE_DEFAULTS = {
+  name: 'カスタム誘導機',
+  ratedPower: 15,     // 定格出力 [kW]
+  ratedVoltage: 400,  // 定格電圧 [V]
+  ratedCurrent: 28,   // 定格電流 [A]（銘板値。計算には力率・効率から求めた値を使い、差を表示する）
+  frequency: 50,      // 定格周波数 [Hz]
+  pf: 0.86,           // 定格力率
+  efficiency: 91,     // 定格効率 [%]
+  rpm: 1460,          // 定格回転速度 [min⁻¹]
+  poles: 4,           // 極数
+  startCurrent: 7,    // 始動電流 Ist/In
+  startTorque: 2.2,   // 始動トルク Tst/Tn
+  maxTorque: 2.8      // 最大トルク Tmax/Tn
+};
+
+// 推定の目標（重みは残差に掛ける）
+const TARGETS = [
+  { key: 'active', label: '定格入力', weight: 1 },
+  { key: 'reactive', label: '定格無効電流', weight: 2 },
+  { key: 'output', label: '定格出力', weight: 2 },
+  { key: 'startCurrent', label: '始動電流', weight: 2 },
+  { key: 'startTorque', label: '始動トルク', weight: 0.3 },
+  { key: 'maxTorque', label: '最大トルク', weight: 2 }
+];
+// 不定性を除く拘束: 漏れリアクタンスの配分 X1 ≈ X2（強）と一次・二次抵抗 R1 ≈ R2（弱）
+const PRIORS = [['X1', 'X2', 1], ['R1', 'R2', 0.1]];
+const KEYS = ['R1', 'X1', 'Xm', 'R2', 'X2'];
+// 再現できたとみなす誤差 [%]
+export const FIT_TOLERANCE = 5;
+
+// 定格電流 [A]（定格出力・電圧・効率・力率から）
+export function ratedCurrent({ ratedPower, ratedVoltage, pf, efficiency }) {
+  return ratedPower * 1000 / (Math.sqrt(3) * ratedVoltage * pf * efficiency / 100);
+}
+
+// 定格スリップ（同期速度と定格回転速度から）
+export function nameplateSlip({ rpm, poles, frequency }) {
+  const ns = 120 * frequency / poles;
+  return (ns - rpm) / ns;
+}
+
+// 最大のエアギャップ電力 [p.u.]（Pag はスリップに対して単峰。粗い走査のあと黄金分割で詰める）
+function maxAirgapPower(circuit) {
+  const pag = s => steadyState(circuit, s).Pag;
+  let best = 0.001, bestP = pag(best);
+  for (let k = 1; k <= 60; k++) {
+    const s = 0.001 * 1000 ** (k / 60);
+    const p = pag(s);
+    if (p > bestP) { best = s; bestP = p; }
+  }
+  let a = best / 1.13, b = Math.min(1, best * 1.13);
+  const g = (Math.sqrt(5) - 1) / 2;
+  for (let i = 0; i < 40; i++) {
+    const c = b - g * (b - a), d = a + g * (b - a);
+    if (pag(c) > pag(d)) b = d; else a = c;
+  }
+  return Math.max(bestP, pag((a + b) / 2));
+}
+
+// 回路から銘板の各量を計算する（p.u.、トルクは定格トルク比）
+function characteristics(circuit, sn) {
+  const rated = steadyState(circuit, sn);
+  const locked = steadyState(circuit, 1);
+  const Tn = rated.Pag;
+  return {
+    current: rated.I1,
+    pf: rated.pf,
+    active: rated.I1 * rated.pf,
+    reactive: rated.I1 * Math.sqrt(1 - rated.pf * rated.pf),
+    output: rated.Pout,
+    startCurrent: locked.I1,
+    startTorque: locked.Pag / Tn,
+    maxTorque: maxAirgapPower(circuit) / Tn
+  };
+}
+
+// 残差（目標に対する相対誤差に重みを掛けたもの）
+function residuals(circuit, sn, goal) {
+  const c = characteristics(circuit, sn);
+  return [
+    ...TARGETS.map(({ key, weight }) => weight * (c[key] / goal[key] - 1)),
+    ...PRIORS.map(([a, b, weight]) => weight * Math.log(circuit[a] / circuit[b]))
+  ];
+}
+
+// 銘板データから等価回路定数を推定する
+//   nameplate: NAMEPLATE_DEFAULTS と同じキー（省略分は既定値）
+// 戻り値:
+//   circuit:  { R1, X1, Xm, R2, X2 } [p.u.]
+//   slip:     定格スリップ
+//   Irated:   力率・効率から求めた定格電流 [A]（currentMismatch は銘板の定格電流との差 [%]）
+//   fit:      目標ごとの { key, label, target, value, error [%] }
+//   rated:    推定した回路の定格点の電流 [p.u.]・力率（鉄損・機械損を含まない）
+//   withinTolerance: すべての目標の誤差が FIT_TOLERANCE 以内
+export function estimateCircuit(nameplate = {}) {
+  const np = { ...NAMEPLATE_DEFAULTS, ...nameplate };
+  if (!(np.ratedPower > 0 && np.ratedVoltage > 0 && np.pf > 0 && np.pf <= 1 && np.efficiency > 0 && np.efficiency < 100)) {
+    throw new Error('定格出力・電圧・力率（0～1）・効率（0～100 %）を正しく入力してください');
+  }
+  const sn = nameplateSlip(np);
+  if (!(sn > 0 && sn < 0.5)) throw new Error('定格回転速度は同期速度（120f/p）より少し低い値にしてください');
+  if (!(np.startCurrent > 1 && np.startTorque > 0 && np.maxTorque > 1)) {
+    throw new Error('始動電流・始動トルク・最大トルクの倍率を正しく入力してください');
+  }
+
+  const output = np.pf * np.efficiency / 100;
+  const goal = {
+    active: np.pf,
+    reactive: Math.sqrt(1 - np.pf * np.pf),
+    output,
+    startCurrent: np.startCurrent,
+    startTorque: np.startTorque,
+    maxTorque: np.maxTorque
+  };
+
+  // 初期値: 漏れリアクタンスは始動電流、二次抵抗は定格スリップ、励磁リアクタンスは無効電流から
+  const Xsc = 1 / np.startCurrent;
+  const Tn = output / (1 - sn);
+  const start = {
+    R1: sn * Tn,
+    X1: Xsc / 2,
+    Xm: 1 / (0.7 * Math.sqrt(1 - np.pf * np.pf) + 1e-3),
+    R2: sn * Tn,
+    X2: Xsc / 2
+  };
+  const toCircuit = v => Object.fromEntries(KEYS.map((k, i) => [k, Math.exp(v[i])]));
+  const { x } = levenbergMarquardt(v => residuals(toCircuit(v), sn, goal), KEYS.map(k => Math.log(start[k])));
+
+  const circuit = toCircuit(x);
+  Object.keys(circuit).forEach(k => { circuit[k] = Number(circuit[k].toPrecision(4)); });
+  const achieved = characteristics(circuit, sn);
+  const fit = TARGETS.map(({ key, label }) => ({
+    key, label, target: goal[key], value: achieved[key], error: (achieved[key] / goal[key] - 1) * 100
+  }));
+  const Irated = ratedCurrent(np);
+  return {
+    circuit,
+    slip: sn,
+    Irated,
+    currentMismatch: np.ratedCurrent > 0 ? (np.ratedCurrent / Irated - 1) * 100 : 0,
+    fit,
+    rated: { current: achieved.current, pf: achieved.pf },
+    withinTolerance: fit.every(e => Math.abs(e.error) <= FIT_TOLERANCE)
+  };
+}
+
+// 推定結果から画面・エンジンで使うモーター定義を作る（かご形誘導機として扱う）
+//   base: 飽和特性など推定しない項目を引き継ぐモーター定義
+export function nameplateMotor(nameplate, estimate, base = {}) {
+  const np = { ...NAMEPLATE_DEFAULTS, ...nameplate };
+  return {
+    ...base,
+    id: 'custom',
+    name: np.name || NAMEPLATE_DEFAULTS.name,
+    category: '誘導機',
+    description: `銘板データ（${np.ratedPower} kW・${np.ratedVoltage} V・${np.poles}極・${np.rpm} min⁻¹）から等価回路定数を推定したモーター。`,
+    features: [`定格電流 ${estimate.Irated.toFixed(1)} A（力率 ${np.pf}・効率 ${np.efficiency} %）`, `定格スリップ ${(estimate.slip * 100).toFixed(2)} %`,
+      `始動電流 ${np.startCurrent} 倍・始動トルク ${np.startTorque} 倍`, `最大トルク ${np.maxTorque} 倍`],
+    applications: '銘板データから作成',
+    inrushMultiplier: np.startCurrent,
+    startTorque: np.startTorque,
+    rotorType: 'cage',
+    poles: np.poles,
+    H: base.H || 0.5,
+    circuit: estimate.circuit,
+    pf: np.pf,
+    efficiency: np.efficiency / 100,
+    nameplate: np
+  };
+}
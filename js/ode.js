@@ -0,0 +1,106 @@
+// 常微分方程式ソルバー
+// f(t, y) は dy/dt を配列で返す。y は数値配列。
+
+// 古典的ルンゲ・クッタ法（4次）の1ステップ
+export function rk4Step(f, t, y, h) {
+  const n = y.length;
+  const k1 = f(t, y);
+  const y2 = new Array(n);
+  for (let i = 0; i < n; i++) y2[i] = y[i] + h / 2 * k1[i];
+  const k2 = f(t + h / 2, y2);
+  for (let i = 0; i < n; i++) y2[i] = y[i] + h / 2 * k2[i];
+  const k3 = f(t + h / 2, y2);
+  for (let i = 0; i < n; i++) y2[i] = y[i] + h * k3[i];
+  const k4 = f(t + h, y2);
+  const out = new Array(n);
+  for (let i = 0; i < n; i++) out[i] = y[i] + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+  return out;
+}
+
+// Dormand–Prince 5(4) 係数
+const DP_C = [0, 1/5, 3/10, 4/5, 8/9, 1, 1];
+const DP_A = [
+  [],
+  [1/5],
+  [3/40, 9/40],
+  [44/45, -56/15, 32/9],
+  [19372/6561, -25360/2187, 64448/6561, -212/729],
+  [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+  [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+];
+const DP_B5 = [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84, 0];
+const DP_B4 = [5179/57600, 0, 7571/16695, 393/640, -92097/339200, 187/2100, 1/40];
+
+// Dormand–Prince 法の1ステップ。5次解と誤差ノルム（許容誤差で正規化）を返す
+export function dopriStep(f, t, y, h, rtol, atol) {
+  const n = y.length;
+  const k = [];
+  const yt = new Array(n);
+  for (let s = 0; s < 7; s++) {
+    for (let i = 0; i < n; i++) {
+      let acc = y[i];
+      for (let j = 0; j < s; j++) acc += h * DP_A[s][j] * k[j][i];
+      yt[i] = acc;
+    }
+    k.push(f(t + DP_C[s] * h, yt));
+  }
+  const y5 = new Array(n);
+  let err = 0;
+  for (let i = 0; i < n; i++) {
+    let a5 = 0, a4 = 0;
+    for (let s = 0; s < 7; s++) {
+      a5 += DP_B5[s] * k[s][i];
+      a4 += DP_B4[s] * k[s][i];
+    }
+    y5[i] = y[i] + h * a5;
+    const sc = atol[i] + rtol * Math.max(Math.abs(y[i]), Math.abs(y5[i]));
+    err = Math.max(err, Math.abs(h * (a5 - a4)) / sc);
+  }
+  return { y: y5, err };
+}
+
+// t0 から t1 まで積分する
+//   method:  'rk4'（固定ステップ h）または 'rk45'（Dormand–Prince 可変ステップ）
+//   h:       rk4 のステップ幅 / rk45 の初期ステップ幅
+//   rtol, atol: rk45 の相対・絶対許容誤差（atol は成分ごとの配列も可）
+//   hMax:    rk45 の最大ステップ幅
+//   project: 各ステップ後に状態を拘束面へ射影する関数（任意）
+// 戻り値 { y, h } の h は次回呼び出しの初期ステップ幅として使える
+export function integrate(f, t0, y0, t1, opts) {
+  const { method = 'rk4', rtol = 1e-4, hMax = Infinity, project } = opts;
+  const span = t1 - t0;
+  let y = y0;
+
+  if (method === 'rk4') {
+    const n = Math.max(1, Math.ceil(span / opts.h - 1e-9));
+    const h = span / n;
+    for (let i = 0; i < n; i++) {
+      y = rk4Step(f, t0 + i * h, y, h);
+      if (project) y = project(t0 + (i + 1) * h, y);
+    }
+    return { y, h: opts.h };
+  }
+
+  if (method !== 'rk45') throw new Error(`未知の積分法です: ${method}`);
+  const atol = Array.isArray(opts.atol) ? opts.atol : y0.map(() => opts.atol ?? 1e-6);
+  let t = t0;
+  let h = Math.min(opts.h, hMax, span);
+  let hNext = h;
+  while (t1 - t > span * 1e-12) {
+    const last = h >= t1 - t;
+    if (last) h = t1 - t;
+    const step = dopriStep(f, t, y, h, rtol, atol);
+    if (step.err <= 1 || h < span * 1e-9) {
+      t = last ? t1 : t + h;
+      y = project ? project(t, step.y) : step.y;
+      const grow = step.err > 0 ? Math.min(5, 0.9 * step.err ** -0.2) : 5;
+      const hNew = Math.min(hMax, h * grow);
+      if (!last) hNext = hNew;
+      h = hNew;
+    } else {
+      h *= Math.max(0.2, 0.9 * step.err ** -0.25);
+      hNext = h;
+    }
+  }
+  return { y, h: hNext };
+}
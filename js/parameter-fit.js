@@ -0,0 +1,142 @@
+// 実測した突入電流へのモデルパラメータの当てはめ
+// simulateInrush() の入力のうち選んだパラメータを、投入からの時間窓で計算波形と実測波形の差の二乗和が
+// 最小になるよう Levenberg-Marquardt 法で求める。正の量は対数、投入位相角はそのままの値を変数とする。
+// 信頼区間は残差の分散と (JᵀJ)⁻¹ からの近似（サンプル間の相関を無視するので狭めに出る）。
+// DOM に依存しない（画面からは fit-worker.js を通して Web Worker で動かす）。
+
+import { simulateInrush, defaultAcTau } from './inrush-engine.js';
+import { sampleMeasured } from './waveform-import.js';
+import { levenbergMarquardt, solveLinear } from './least-squares.js';
+
+const PHASE_KEYS = ['iU', 'iV', 'iW'];
+// 95 % 信頼区間の係数（正規分布）
+const Z95 = 1.96;
+// 投入位相角の初期値を探す刻み [°]
+const ANGLE_SCAN_STEP = 15;
+
+const setMotor = (p, patch) => ({ ...p, motor: { ...p.motor, ...patch } });
+const circuitParameter = key => ({
+  label: key, unit: 'p.u.', models: ['dq'], log: true,
+  get: p => p.motor.circuit[key],
+  set: (p, v) => setMotor(p, { circuit: { ...p.motor.circuit, [key]: v } })
+});
+
+// 当てはめできるパラメータ
+//   models: 使えるモデル、log: 対数で探索する（正の量）、get・set: simulateInrush() の入力との受け渡し
+export const FIT_PARAMETERS = {
+  switchAngle: {
+    label: '投入位相角', unit: '°', models: ['simple', 'dq'], log: false,
+    get: p => p.switchAngle,
+    set: (p, v) => ({ ...p, switchAngle: ((v % 360) + 360) % 360 })
+  },
+  dcTau: {
+    label: 'DC減衰時定数', unit: 'ms', models: ['simple'], log: true,
+    get: p => p.dcTau,
+    set: (p, v) => ({ ...p, dcTau: v })
+  },
+  acTau: {
+    label: 'AC減衰時定数', unit: 'ms', models: ['simple'], log: true,
+    get: p => p.acTau > 0 ? p.acTau : defaultAcTau(p.motor),
+    set: (p, v) => ({ ...p, acTau: v })
+  },
+  inrushMultiplier: {
+    label: '突入倍率', unit: '倍', models: ['simple'], log: true,
+    get: p => p.motor.inrushMultiplier,
+    set: (p, v) => setMotor(p, { inrushMultiplier: v })
+  },
+  R1: circuitParameter('R1'),
+  X1: circuitParameter('X1'),
+  Xm: circuitParameter('Xm'),
+  R2: circuitParameter('R2'),
+  X2: circuitParameter('X2')
+};
+
+// 当てはめ
+//   params:   simulateInrush() の入力（初期値）
+//   measured: { t: 投入からの時刻 [ms], phases: [U, V, W]（対応させない相は null） }
+//   keys:     当てはめるパラメータ（FIT_PARAMETERS のキー）
+//   windowMs: 投入から比べる時間 [ms]
+//   maxIterations: 反復回数の上限
+//   onProgress: 進み具合 { stage: 'scan' | 'fit', iteration, rms } を受け取る関数
+// 戻り値:
+//   values・initial: パラメータの推定値・初期値、ci: 95 % 信頼区間 [下限, 上限]（求まらなければ null）
+//   rmsBefore・rmsAfter: 残差の実効値 [A]、points: 比べたサンプル数、iterations
+//   residual: { t: 投入からの時刻 [ms], phases: 相ごとの 計算 − 実測 [A]（対応させない相は null） }
+// 比べるサンプルがパラメータ数より少ないときはエラーを投げる
+export function fitInrush({ params, measured, keys, windowMs = 200, maxIterations = 30 }, onProgress = () => {}) {
+  const defs = keys.map(k => FIT_PARAMETERS[k]);
+  if (!defs.length || defs.some(d => !d || !d.models.includes(params.model))) throw new Error('このモデルで当てはめできないパラメータが含まれています');
+
+  // 表示範囲・計算時間を時間窓に合わせる（dq は runTime 0 で表示範囲まで計算）
+  const cycles = Math.ceil(windowMs * params.frequency / 1000) + 1;
+  const base = { ...params, viewCycles: cycles, runTime: 0 };
+  const toParams = x => defs.reduce((p, d, j) => d.set(p, d.log ? Math.exp(x[j]) : x[j]), base);
+
+  // 比べる時刻は最初の計算の出力点（時間刻みはパラメータによらない）
+  const first = simulateInrush(base);
+  const idx = first.data.map((d, i) => i).filter(i => first.data[i].t > first.stopMs && first.data[i].t <= first.stopMs + windowMs);
+  const times = idx.map(i => first.data[i].t - first.stopMs);
+  const target = sampleMeasured(measured, times);
+  const used = target.map(v => v && v.map(Number.isFinite));
+  const points = used.reduce((a, m) => a + (m ? m.filter(Boolean).length : 0), 0);
+  if (points <= keys.length) throw new Error('当てはめる区間に実測のサンプルが足りません');
+
+  const residuals = x => {
+    const data = simulateInrush(toParams(x)).data;
+    const r = [];
+    target.forEach((v, k) => {
+      if (!v) return;
+      idx.forEach((i, j) => { if (used[k][j]) r.push(data[i][PHASE_KEYS[k]] - v[j]); });
+    });
+    return r;
+  };
+  const rms = r => Math.sqrt(r.reduce((a, e) => a + e * e, 0) / r.length);
+
+  let x0 = defs.map(d => d.log ? Math.log(d.get(base)) : d.get(base));
+  const rmsBefore = rms(residuals(x0));
+  // 投入位相角は多峰性なので、先に粗く走査して初期値を選ぶ
+  const a = keys.indexOf('switchAngle');
+  if (a >= 0) {
+    let best = { x: x0, rms: rmsBefore };
+    for (let deg = 0; deg < 360; deg += ANGLE_SCAN_STEP) {
+      const x = x0.slice();
+      x[a] = deg;
+      const e = rms(residuals(x));
+      if (e < best.rms) best = { x, rms: e };
+      onProgress({ stage: 'scan', iteration: deg / ANGLE_SCAN_STEP + 1, rms: best.rms });
+    }
+    x0 = best.x;
+  }
+
+  const fit = levenbergMarquardt(residuals, x0, {
+    maxIterations, maxStep: 1, h: 1e-4, tolerance: 0,
+    onIteration: (iteration, cost) => onProgress({ stage: 'fit', iteration, rms: Math.sqrt(cost / points) })
+  });
+
+  // 信頼区間: 共分散 σ²(JᵀJ)⁻¹（σ² = 残差の二乗和 / 自由度）
+  const J = fit.jacobian();
+  const JtJ = keys.map((_, p) => keys.map((_, q) => J.reduce((s, row) => s + row[p] * row[q], 0)));
+  const sigma2 = fit.cost / (points - keys.length);
+  const values = {}, initial = {}, ci = {};
+  defs.forEach((d, j) => {
+    const v = d.log ? Math.exp(fit.x[j]) : fit.x[j];
+    const key = keys[j];
+    // set() を通して投入位相角を 0～360° に戻す
+    values[key] = d.get(d.set(base, v));
+    initial[key] = d.get(base);
+    const col = solveLinear(JtJ, keys.map((_, i) => i === j ? 1 : 0));
+    const sd = col && col[j] > 0 ? Math.sqrt(sigma2 * col[j]) : NaN;
+    ci[key] = !Number.isFinite(sd) ? null
+      : d.log ? [v * Math.exp(-Z95 * sd), v * Math.exp(Z95 * sd)] : [values[key] - Z95 * sd, values[key] + Z95 * sd];
+  });
+
+  // 残差の時間波形
+  const r = fit.r;
+  let n = 0;
+  const residualPhases = target.map((v, k) => v && idx.map((_, j) => used[k][j] ? r[n++] : NaN));
+  return {
+    keys, values, initial, ci,
+    rmsBefore, rmsAfter: rms(r), points, iterations: fit.iterations,
+    residual: { t: times, phases: residualPhases }
+  };
+}
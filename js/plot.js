@@ -0,0 +1,210 @@
+// グラフ描画の部品: 目盛の計算・単位の接頭語・点の間引きと、Canvas 2D コンテキストへの描画
+// DOM に依存しない（描画先の ctx と大きさを受け取る）。凡例は legendEntries() の結果から画面側で作る。
+
+const GRID_COLOR = '#374151';
+const TEXT_COLOR = '#9ca3af';
+const FONT = '10px sans-serif';
+
+// min～max に count 本程度の目盛を 1・2・5 × 10^n の間隔で置く
+// 戻り値: { step, ticks }（min・max が有限の数でなければ目盛なし）
+export function niceTicks(min, max, count = 5) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return { step: NaN, ticks: [] };
+  if (!(max > min)) {
+    const pad = Math.abs(min) > 0 ? Math.abs(min) * 0.1 : 1;
+    return niceTicks(min - pad, max + pad, count);
+  }
+  const raw = (max - min) / Math.max(1, count);
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  const step = (norm < 1.5 ? 1 : norm < 3 ? 2 : norm < 7 ? 5 : 10) * mag;
+  const ticks = [];
+  for (let v = Math.ceil(min / step - 1e-9) * step; v <= max + step * 1e-9; v += step) {
+    ticks.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+  }
+  return { step, ticks };
+}
+
+// 目盛の間隔に合わせた桁数で表示する
+export function formatTick(value, step) {
+  const digits = Math.max(0, Math.ceil(-Math.log10(step) - 1e-9));
+  return value.toFixed(Math.min(digits, 6));
+}
+
+// 値の大きさに合わせた単位の接頭語（unit が空なら接頭語なし）
+// 戻り値: { factor: 表示値 = 値 × factor, unit: 接頭語つきの単位 }
+export function unitScale(maxAbs, unit) {
+  if (!unit || !(maxAbs > 0)) return { factor: 1, unit: unit || '' };
+  if (maxAbs >= 1e6) return { factor: 1e-6, unit: 'M' + unit };
+  if (maxAbs >= 1e3) return { factor: 1e-3, unit: 'k' + unit };
+  if (maxAbs < 1) return { factor: 1e3, unit: 'm' + unit };
+  return { factor: 1, unit };
+}
+
+// 点の間引き: 表示範囲 from～to を pixels 列に分け、列ごとに最初・最小・最大・最後の点だけを残す（順序は保つ）
+// 範囲の前後1点までを含める。有限でない y は線の切れ目として残す。点数が少なければそのまま返す
+// 戻り値: { xs, ys }
+export function decimate(xs, ys, { from, to, pixels }) {
+  const n = xs.length;
+  const search = x => {
+    let lo = 0, hi = n;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (xs[mid] < x) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  };
+  const first = Math.max(0, search(from) - 1);
+  const last = Math.min(n - 1, search(to));
+  if (last - first + 1 <= pixels * 2) return { xs: xs.slice(first, last + 1), ys: ys.slice(first, last + 1) };
+
+  const outX = [], outY = [];
+  const scale = pixels / (to - from);
+  let column = null, bucket = null;
+  const flush = () => {
+    if (!bucket) return;
+    [...new Set([bucket.first, bucket.min, bucket.max, bucket.last])].sort((a, b) => a - b).forEach(i => {
+      outX.push(xs[i]);
+      outY.push(ys[i]);
+    });
+    bucket = null;
+  };
+  for (let i = first; i <= last; i++) {
+    const y = ys[i];
+    if (!Number.isFinite(y)) {
+      flush();
+      column = null;
+      outX.push(xs[i]);
+      outY.push(NaN);
+      continue;
+    }
+    const c = Math.floor((xs[i] - from) * scale);
+    if (c !== column) {
+      flush();
+      column = c;
+      bucket = { first: i, min: i, max: i, last: i };
+    } else {
+      if (y < ys[bucket.min]) bucket.min = i;
+      if (y > ys[bucket.max]) bucket.max = i;
+      bucket.last = i;
+    }
+  }
+  flush();
+  return { xs: outX, ys: outY };
+}
+
+// 系列の点列（xs・ys を直接与えるか、data の key または data と同じ長さの values）
+function seriesPoints(s, data) {
+  if (s.xs) return { xs: s.xs, ys: s.ys };
+  const d = s.data || data;
+  return { xs: d.map(p => p.t), ys: s.values ? s.values : d.map(p => p[s.key]) };
+}
+
+// 凡例に並べる項目（label のある系列・参照線。同じ label は最初のものだけ）
+// 戻り値: [{ label, color, dash }]
+export function legendEntries(items) {
+  const seen = new Set();
+  return items.filter(s => s.label && !seen.has(s.label) && seen.add(s.label))
+    .map(s => ({ label: s.label, color: s.color, dash: s.dash || [] }));
+}
+
+// グラフを描く
+//   ctx:    描画先（ctx.scale 済みで width × height の座標）
+//   margin: { l, r, t, b }
+//   x:      { from, to, label, factor（目盛の表示値 = x × factor、既定 1）, ticks（目盛の本数の目安） }
+//   y:      { min, max, unit（接頭語をつける単位、省略で数値のみ）, ticks }
+//   data:   系列の既定のデータ（{ t, ... } の配列、t が x）
+//   series: [{ key | values | xs・ys, data, color, width（既定 1.5）, dash, label }]
+//   bands:  x 方向の塗り [{ from, to, color }]、refs: 水平線 [{ y, color, dash, width, label }]、
+//   marks:  垂直線 [{ x, color, dash, width, label, row（ラベルの段） }]
+//   overlay(ctx, toX, toY, area): 描画範囲内に追加で描く関数（目印・カーソルなど）
+// 戻り値: { toX, toY, area: { l, t, w, h } }
+export function drawPlot(ctx, { width, height, margin, x, y, data = [], series = [], bands = [], refs = [], marks = [], overlay = null }) {
+  const area = { l: margin.l, t: margin.t, w: width - margin.l - margin.r, h: height - margin.t - margin.b };
+  const toX = v => area.l + (v - x.from) / ((x.to - x.from) || 1) * area.w;
+  const toY = v => area.t + area.h - (v - y.min) / ((y.max - y.min) || 1) * area.h;
+
+  ctx.fillStyle = '#111827';
+  ctx.fillRect(0, 0, width, height);
+
+  const xFactor = x.factor || 1;
+  const xTicks = niceTicks(x.from * xFactor, x.to * xFactor, x.ticks || 6);
+  const scale = unitScale(Math.max(Math.abs(y.min), Math.abs(y.max)), y.unit);
+  const yTicks = niceTicks(y.min * scale.factor, y.max * scale.factor, y.ticks || 5);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(area.l, area.t, area.w, area.h);
+  ctx.clip();
+
+  bands.forEach(b => {
+    ctx.fillStyle = b.color;
+    ctx.fillRect(toX(b.from), area.t, toX(b.to) - toX(b.from), area.h);
+  });
+
+  // グリッド
+  ctx.strokeStyle = GRID_COLOR;
+  ctx.lineWidth = 0.5;
+  yTicks.ticks.forEach(v => {
+    const py = toY(v / scale.factor);
+    ctx.beginPath(); ctx.moveTo(area.l, py); ctx.lineTo(area.l + area.w, py); ctx.stroke();
+  });
+  xTicks.ticks.forEach(v => {
+    const px = toX(v / xFactor);
+    ctx.beginPath(); ctx.moveTo(px, area.t); ctx.lineTo(px, area.t + area.h); ctx.stroke();
+  });
+
+  refs.forEach(r => {
+    ctx.strokeStyle = r.color;
+    ctx.lineWidth = r.width || 1;
+    ctx.setLineDash(r.dash || []);
+    ctx.beginPath(); ctx.moveTo(area.l, toY(r.y)); ctx.lineTo(area.l + area.w, toY(r.y)); ctx.stroke();
+    ctx.setLineDash([]);
+  });
+  ctx.font = FONT;
+  ctx.textAlign = 'left';
+  marks.forEach(m => {
+    ctx.strokeStyle = ctx.fillStyle = m.color;
+    ctx.lineWidth = m.width || 1.5;
+    ctx.setLineDash(m.dash || []);
+    ctx.beginPath(); ctx.moveTo(toX(m.x), area.t); ctx.lineTo(toX(m.x), area.t + area.h); ctx.stroke();
+    ctx.setLineDash([]);
+    if (m.label) ctx.fillText(m.label, toX(m.x) + 3, area.t + 12 + 10 * (m.row || 0));
+  });
+
+  // 系列（表示範囲の点だけを画素ごとに間引いて描く）
+  series.forEach(s => {
+    const { xs, ys } = seriesPoints(s, data);
+    const pts = decimate(xs, ys, { from: x.from, to: x.to, pixels: Math.max(1, Math.round(area.w)) });
+    ctx.strokeStyle = s.color;
+    ctx.lineWidth = s.width || 1.5;
+    ctx.setLineDash(s.dash || []);
+    ctx.beginPath();
+    let drawing = false;
+    pts.xs.forEach((xv, i) => {
+      const yv = pts.ys[i];
+      if (!Number.isFinite(yv)) { drawing = false; return; }
+      if (drawing) ctx.lineTo(toX(xv), toY(yv)); else ctx.moveTo(toX(xv), toY(yv));
+      drawing = true;
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+  });
+
+  if (overlay) overlay(ctx, toX, toY, area);
+  ctx.restore();
+
+  // 目盛と軸ラベル
+  ctx.fillStyle = TEXT_COLOR;
+  ctx.font = FONT;
+  ctx.textAlign = 'right';
+  yTicks.ticks.forEach(v => ctx.fillText(formatTick(v, yTicks.step), area.l - 5, toY(v / scale.factor) + 4));
+  if (scale.unit) {
+    ctx.textAlign = 'left';
+    ctx.fillText(`[${scale.unit}]`, 4, Math.max(10, area.t - 4));
+  }
+  ctx.textAlign = 'center';
+  xTicks.ticks.forEach(v => ctx.fillText(formatTick(v, xTicks.step), toX(v / xFactor), area.t + area.h + 14));
+  if (x.label) ctx.fillText(x.label, area.l + area.w / 2, height - 3);
+
+  return { toX, toY, area };
+}
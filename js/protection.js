@@ -0,0 +1,171 @@
+// 保護機器の時間-電流特性（TCC）と始動電流との協調判定
+// 電流は実効値 [A]、時間は投入からの秒。設定値の電流は電動機の定格電流に対する倍率で与える。
+// 判定は始動電流の軌跡 (I(t), t) が動作特性と交差するか（t ≥ 動作時間(I(t)) となる時刻があるか）で行う。
+
+// 過電流継電器の反限時特性
+//   IEC 60255-151: t = TMS · k / (M^α − 1)
+//   IEEE C37.112:  t = TD · (A / (M^p − 1) + B)
+export const OC_CURVES = {
+  iecSI: { label: 'IEC 普通反限時 (SI)', k: 0.14, alpha: 0.02 },
+  iecVI: { label: 'IEC 強反限時 (VI)', k: 13.5, alpha: 1 },
+  iecEI: { label: 'IEC 超反限時 (EI)', k: 80, alpha: 2 },
+  iecLTI: { label: 'IEC 長反限時 (LTI)', k: 120, alpha: 1 },
+  ieeeMI: { label: 'IEEE 中反限時 (MI)', A: 0.0515, B: 0.114, p: 0.02 },
+  ieeeVI: { label: 'IEEE 強反限時 (VI)', A: 19.61, B: 0.491, p: 2 },
+  ieeeEI: { label: 'IEEE 超反限時 (EI)', A: 28.2, B: 0.1217, p: 2 }
+};
+
+// 瞬時要素の測定方式（DCオフセットによる非対称分の扱い）
+export const INSTANTANEOUS_MEASURES = {
+  peak: '瞬時値ピーク/√2（非対称分を含む）',
+  rms: '1サイクル実効値（真の実効値）'
+};
+
+// 熱動形過負荷継電器の引外し階級（IEC 60947-4-1: 7.2 × 設定電流での最大動作時間 [s]）
+export const OVERLOAD_CLASSES = [10, 20, 30];
+
+// ヒューズの溶断特性（定格電流比 I/In と時間 [s]、代表値）
+export const FUSE_TYPES = {
+  gG: {
+    label: 'gG（一般用）',
+    table: [[1.5, 3600], [2, 300], [2.5, 60], [3, 20], [4, 5], [5, 1.8], [6, 0.8], [8, 0.25], [10, 0.1], [15, 0.025], [20, 0.01]]
+  },
+  aM: {
+    label: 'aM（電動機回路用）',
+    table: [[4, 60], [5, 10], [6.3, 3], [8, 0.8], [10, 0.25], [12.5, 0.08], [15, 0.04], [19, 0.01]]
+  }
+};
+
+// 既定値（画面の初期値と同じ。電流は電動機の定格電流に対する倍率）
+export const PROTECTION_DEFAULTS = {
+  relay: { enabled: true, curve: 'iecVI', pickup: 1.2, tms: 0.3, instantaneous: 12, instantaneousTime: 0.03, measure: 'peak' },
+  mccb: { enabled: false, rating: 1.25, magnetic: 10, tolerance: 20 },
+  fuse: { enabled: false, type: 'aM', rating: 1.25, table: FUSE_TYPES.aM.table },
+  overload: { enabled: true, tripClass: 10, setting: 1.0 }
+};
+
+// 熱動形過負荷継電器・配線用遮断器の熱動要素の不動作電流（設定電流比）
+const OVERLOAD_PICKUP = 1.15;
+const MCCB_THERMAL = { pickupMin: 1.05, pickupMax: 1.3, kMin: 150, kMax: 700 };
+// 配線用遮断器の電磁引外しの動作時間 [s]（最小・最大）
+const MCCB_MAGNETIC_TIME = [0.01, 0.02];
+
+// 両対数で直線補間する（範囲外は表の両端の外側を動作しないとみなし Infinity、大電流側は最後の時間）
+function logInterp(table, x) {
+  if (!table.length || x < table[0][0]) return Infinity;
+  for (let i = 1; i < table.length; i++) {
+    if (x <= table[i][0]) {
+      const [x0, y0] = table[i - 1], [x1, y1] = table[i];
+      const r = Math.log(x / x0) / Math.log(x1 / x0);
+      return Math.exp(Math.log(y0) + r * Math.log(y1 / y0));
+    }
+  }
+  return table[table.length - 1][1];
+}
+
+// 設定から保護機器の一覧を作る
+//   settings: PROTECTION_DEFAULTS と同じ構造（省略分は既定値）
+//   Irated:   電動機の定格電流 [A]
+// 戻り値: [{ id, label, color, instantaneous, tripTime(I), slowest(I) }]
+//   instantaneous: 瞬時要素なら { pickup [A], measure }（非対称分を含む電流で判定）、反限時要素は null
+//   tripTime(I):   電流 I [A] での最短動作時間 [s]（動作しなければ Infinity）
+//   slowest(I):    帯で与える機器の最長動作時間 [s]（帯でなければ tripTime と同じ）
+export function createDevices(settings = {}, Irated) {
+  const s = key => ({ ...PROTECTION_DEFAULTS[key], ...(settings[key] || {}) });
+  const devices = [];
+
+  const relay = s('relay');
+  if (relay.enabled) {
+    const c = OC_CURVES[relay.curve] || OC_CURVES.iecVI;
+    const Is = relay.pickup * Irated;
+    const inverse = I => {
+      const M = I / Is;
+      if (M <= 1) return Infinity;
+      return c.k !== undefined ? relay.tms * c.k / (M ** c.alpha - 1) : relay.tms * (c.A / (M ** c.p - 1) + c.B);
+    };
+    devices.push({ id: 'relay51', label: `過電流継電器 51（${c.label}）`, color: '#f59e0b', instantaneous: null, tripTime: inverse, slowest: inverse });
+    if (relay.instantaneous > 0) {
+      const pickup = relay.instantaneous * Irated;
+      const inst = I => I >= pickup ? relay.instantaneousTime : Infinity;
+      devices.push({ id: 'relay50', label: '過電流継電器 50（瞬時）', color: '#fb923c', instantaneous: { pickup, measure: relay.measure }, tripTime: inst, slowest: inst });
+    }
+  }
+
+  const mccb = s('mccb');
+  if (mccb.enabled) {
+    const In = mccb.rating * Irated;
+    const { pickupMin, pickupMax, kMin, kMax } = MCCB_THERMAL;
+    const thermal = (I, pk, k) => {
+      const M = I / In;
+      return M > pk ? k / (M * M - pk * pk) : Infinity;
+    };
+    const tol = mccb.tolerance / 100;
+    const ImLow = mccb.magnetic * In * (1 - tol), ImHigh = mccb.magnetic * In * (1 + tol);
+    devices.push({
+      id: 'mccbThermal', label: '配線用遮断器（熱動）', color: '#a78bfa', instantaneous: null,
+      tripTime: I => thermal(I, pickupMin, kMin),
+      slowest: I => thermal(I, pickupMax, kMax)
+    });
+    devices.push({
+      id: 'mccbMagnetic', label: '配線用遮断器（電磁）', color: '#c084fc', instantaneous: { pickup: ImLow, measure: 'peak' },
+      tripTime: I => I >= ImLow ? MCCB_MAGNETIC_TIME[0] : Infinity,
+      slowest: I => I >= ImHigh ? MCCB_MAGNETIC_TIME[1] : Infinity
+    });
+  }
+
+  const fuse = s('fuse');
+  if (fuse.enabled) {
+    const In = fuse.rating * Irated;
+    const table = fuse.table.filter(p => p[0] > 0 && p[1] > 0).sort((a, b) => a[0] - b[0]);
+    const melt = I => logInterp(table, I / In);
+    devices.push({ id: 'fuse', label: `ヒューズ ${(FUSE_TYPES[fuse.type] || FUSE_TYPES.gG).label}`, color: '#f472b6', instantaneous: null, tripTime: melt, slowest: melt });
+  }
+
+  const ol = s('overload');
+  if (ol.enabled) {
+    const Ir = ol.setting * Irated;
+    // 冷状態からの熱模擬 t = τ·ln(M² / (M² − k²))。7.2 倍で階級の時間になるよう τ を決める
+    const k2 = OVERLOAD_PICKUP * OVERLOAD_PICKUP;
+    const tau = ol.tripClass / Math.log(7.2 * 7.2 / (7.2 * 7.2 - k2));
+    const trip = I => {
+      const M2 = (I / Ir) ** 2;
+      return M2 > k2 ? tau * Math.log(M2 / (M2 - k2)) : Infinity;
+    };
+    devices.push({ id: 'overload', label: `過負荷継電器 Class ${ol.tripClass}`, color: '#22d3ee', instantaneous: null, tripTime: trip, slowest: trip });
+  }
+  return devices;
+}
+
+// 始動電流の軌跡と各機器の協調判定
+//   devices: createDevices() の戻り値
+//   profile: { t: 投入からの時刻 [s], rms: 1サイクル実効値 [A], peak: 瞬時値の絶対値/√2 [A] }（3相の最大、同じ長さ）
+// 戻り値: [{ device, trips, crossing: { t, I } | null, margin }]
+//   trips:    軌跡が動作特性と交差する（不要動作）
+//   crossing: 最初に交差した時刻と電流
+//   margin:   反限時要素は min(動作時間 / t)、瞬時要素は 整定値 / 最大電流（1 未満で動作）
+export function evaluateProtection(devices, profile) {
+  const n = profile.t.length;
+  return devices.map(device => {
+    let crossing = null;
+    let margin = Infinity;
+    if (device.instantaneous) {
+      const { pickup, measure } = device.instantaneous;
+      const values = measure === 'rms' ? profile.rms : profile.peak;
+      let maxI = 0;
+      for (let i = 0; i < n; i++) {
+        if (values[i] > maxI) maxI = values[i];
+        if (!crossing && values[i] >= pickup) crossing = { t: profile.t[i], I: values[i] };
+      }
+      margin = maxI > 0 ? pickup / maxI : Infinity;
+    } else {
+      for (let i = 0; i < n; i++) {
+        const t = profile.t[i];
+        if (t <= 0) continue;
+        const ratio = device.tripTime(profile.rms[i]) / t;
+        if (ratio < margin) margin = ratio;
+        if (!crossing && ratio <= 1) crossing = { t, I: profile.rms[i] };
+      }
+    }
+    return { device, trips: crossing !== null, crossing, margin };
+  });
+}
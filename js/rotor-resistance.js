@@ -0,0 +1,60 @@
+// 巻線形誘導機の二次外部抵抗（R_ext）による抵抗始動
+// スケジュールは段の配列 [{ R, by, at }, ...]
+//   R:  その段で挿入している抵抗 [Ω/相、一次換算]
+//   by: 'speed'（速度 [p.u.、同期速度基準] が at 以上で短絡）または 'time'（投入後 at [s] で短絡）
+// 最後の段を短絡すると R_ext = 0（スリップリング短絡）で運転する。
+
+export const RESISTOR_SWITCH_MODES = {
+  speed: '速度 [p.u.]',
+  time: '時間 [s]'
+};
+
+// 段の切替を管理する
+// 戻り値:
+//   index:      現在の段（steps.length で全段短絡）
+//   Rext:       現在の外部抵抗 [Ω]
+//   update(t, n): サンプル時刻ごとに切替を判定し、段が変わったら true を返す
+//   switches:   切替記録 [{ t, from, to }]（from・to は切替前後の R_ext [Ω]）
+export function createResistorSchedule(steps = []) {
+  const valid = steps.filter(s => s.R >= 0 && isFinite(s.at));
+  const sch = {
+    index: 0,
+    Rext: valid.length ? valid[0].R : 0,
+    switches: [],
+    update(t, n) {
+      let changed = false;
+      while (sch.index < valid.length) {
+        const s = valid[sch.index];
+        if ((s.by === 'time' ? t : n) < s.at) break;
+        const from = sch.Rext;
+        sch.index++;
+        sch.Rext = sch.index < valid.length ? valid[sch.index].R : 0;
+        sch.switches.push({ t, from, to: sch.Rext });
+        changed = true;
+      }
+      return changed;
+    }
+  };
+  return sch;
+}
+
+// 等価回路から標準的な段数 n のスケジュールを作る
+// 1段目は停動時に最大トルクとなる二次抵抗 √(R1² + (X1+X2)²) とし、二次抵抗の合計を等比で減らす。
+// 各段は次の段の停動スリップに達した速度で短絡する（短絡直後に最大トルク付近で加速が続く）。
+//   circuit: { R1, X1, R2, X2 } [p.u.]、Z: 基準インピーダンス [Ω]
+export function defaultResistorSchedule(circuit, Z, n = 3) {
+  const { R1, X1, R2, X2 } = circuit;
+  const Rmax = Math.hypot(R1, X1 + X2);
+  if (Rmax <= R2 || n < 1) return [];
+  const ratio = (R2 / Rmax) ** (1 / n);
+  const round = (v, d) => Math.round(v * 10 ** d) / 10 ** d;
+  return Array.from({ length: n }, (_, k) => {
+    const total = Rmax * ratio ** k;
+    const next = Rmax * ratio ** (k + 1);
+    return {
+      R: Number(((total - R2) * Z).toPrecision(3)),
+      by: 'speed',
+      at: round(1 - next / Rmax, 2)
+    };
+  });
+}
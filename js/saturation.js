@@ -0,0 +1,52 @@
+// 励磁回路の磁気飽和（Ψ-i 曲線）と残留磁束
+// 曲線は [[励磁電流, 主磁束], ...] の p.u. 値（電流は定格電流の波高値、磁束は定格電圧の波高値 / ω が基準）。
+// 原点を通り、点の間は直線補間、最後の点より先は最後の区間の傾き（空心インダクタンス相当）で延長する。
+
+// 曲線を SI 単位（A, Wb）の単調な折れ線に変換する。電流・磁束とも増加しない点は除く
+//   table: [[i, ψ], ...] [p.u.]、base: baseValues() の戻り値
+export function createMagnetizingCurve(table, base) {
+  const Ib = base.Vpeak / base.Z;
+  const psiB = base.Vpeak / base.omega;
+  const pts = [[0, 0]];
+  table.filter(p => p.length >= 2 && isFinite(p[0]) && isFinite(p[1]))
+    .map(([i, psi]) => [Math.abs(psi) * psiB, Math.abs(i) * Ib])
+    .sort((a, b) => a[0] - b[0])
+    .forEach(p => {
+      const last = pts[pts.length - 1];
+      if (p[0] > last[0] && p[1] > last[1]) pts.push(p);
+    });
+  if (pts.length < 2) throw new Error('飽和特性の点が不足しています（電流・磁束とも増加する点が1点以上必要）');
+  const psi = pts.map(p => p[0]);
+  const cur = pts.map(p => p[1]);
+  const n = pts.length;
+
+  // 磁束 x (≥0) に対する励磁電流
+  const current = x => {
+    let k = 1;
+    while (k < n - 1 && x > psi[k]) k++;
+    return cur[k - 1] + (cur[k] - cur[k - 1]) * (x - psi[k - 1]) / (psi[k] - psi[k - 1]);
+  };
+
+  return {
+    // 小電流域の励磁インダクタンス [H]
+    L0: psi[1] / cur[1],
+    // 磁束ベクトルの大きさ x に対する励磁電流（符号付き）
+    current: x => Math.sign(x) * current(Math.abs(x)),
+    // current(x) + G·x = rhs を x について解く（区間ごとに直線なので厳密解）
+    solve(rhs, G) {
+      const r = Math.abs(rhs);
+      let k = 1;
+      while (k < n - 1 && cur[k] + G * psi[k] < r) k++;
+      const x0 = psi[k - 1], g0 = cur[k - 1] + G * x0;
+      const slope = (cur[k] - cur[k - 1]) / (psi[k] - psi[k - 1]) + G;
+      return Math.sign(rhs) * (x0 + (r - g0) / slope);
+    }
+  };
+}
+
+// 相ごとの残留磁束 [U, V, W] [p.u.] を静止座標の磁束ベクトル [ψα, ψβ] [Wb] にする（振幅不変、零相分は除く）
+export function remanentFluxVector(remanence, base) {
+  const [u = 0, v = 0, w = 0] = remanence || [];
+  const psiB = base.Vpeak / base.omega;
+  return [(2 / 3) * (u - (v + w) / 2) * psiB, (v - w) / Math.sqrt(3) * psiB];
+}
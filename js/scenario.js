@@ -0,0 +1,123 @@
+// シナリオ（画面の入力一式）の URL ハッシュへの保存・復元と、名前付きプリセット
+// 状態は { v: 版, inputs: { 入力要素の id: 値 }, motor, motorRecord, rotorSchedule, scatterSeed, busMotors } で、
+// JSON を base64url にして '#s=' の後ろに置く。古い版の状態は MIGRATIONS で順に最新の版へ変換し、
+// 後から追加した入力は状態に含まれないので画面の初期値のまま残る。
+
+import { MOTOR_ID_PATTERN } from './motor-library.js';
+
+export const SCENARIO_VERSION = 1;
+export const PRESET_STORAGE_KEY = 'motor-inrush-simulator.presets';
+const HASH_KEY = 's';
+
+// 版 n の状態を版 n+1 に変換する関数（版を上げるときに追加する）
+const MIGRATIONS = {};
+
+// UTF-8 文字列 ↔ base64url
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+const isEntry = v => v && typeof v === 'object' && !Array.isArray(v);
+
+// 状態を最新の版に変換し、形を確かめる
+// 型の合わない R_ext の段・母線の電動機と、id が不正なモーター定義・組み込みのモーターを置き換える定義は除き、
+// その旨を warnings に置く
+//   reserved: 組み込みのモーターの id の配列（リンクやプリセットの定義で置き換えさせない）
+// 戻り値: { state, error, warnings }（読めなければ state は null）
+export function migrateScenario(state, reserved = []) {
+  if (!isEntry(state)) return { state: null, error: 'シナリオの形式ではありません', warnings: [] };
+  if (!Number.isInteger(state.v) || state.v < 1) return { state: null, error: '版 v がありません', warnings: [] };
+  if (state.v > SCENARIO_VERSION) return { state: null, error: `新しい版のシナリオです（v${state.v}、このシミュレーターは v${SCENARIO_VERSION} まで）`, warnings: [] };
+  let s = state;
+  while (s.v < SCENARIO_VERSION) s = { ...MIGRATIONS[s.v](s), v: s.v + 1 };
+  if (!isEntry(s.inputs)) return { state: null, error: '入力値 inputs がありません', warnings: [] };
+
+  const warnings = [];
+  s = { ...s };
+  if (s.motor !== undefined && !(typeof s.motor === 'string' && MOTOR_ID_PATTERN.test(s.motor))) {
+    warnings.push('モーターの id が不正なため除きました');
+    delete s.motor;
+  }
+  if (s.motorRecord !== undefined && !(isEntry(s.motorRecord) && s.motorRecord.id === s.motor)) {
+    warnings.push('モーター定義の id が不正なため除きました');
+    delete s.motorRecord;
+  }
+  if (s.motorRecord !== undefined && reserved.includes(s.motor)) {
+    warnings.push(`組み込みのモーター「${s.motor}」の定義は置き換えられないため除きました`);
+    delete s.motorRecord;
+  }
+  const keep = (key, ok, label) => {
+    if (s[key] === undefined) return;
+    if (!Array.isArray(s[key])) {
+      warnings.push(`${label}が配列ではないため除きました`);
+      delete s[key];
+      return;
+    }
+    const valid = s[key].filter(e => isEntry(e) && ok(e));
+    if (valid.length < s[key].length) warnings.push(`${label}のうち値が不正な ${s[key].length - valid.length} 件を除きました`);
+    s[key] = valid;
+  };
+  keep('rotorSchedule', e => isNum(e.R) && isNum(e.at), 'R_ext の段');
+  keep('busMotors', e => typeof e.motor === 'string' && isNum(e.ratedPower) && isNum(e.start), '母線の電動機');
+  return { state: s, error: null, warnings };
+}
+
+// URL ハッシュ（'#s=...'）を作る
+export function encodeScenario(state) {
+  return `#${HASH_KEY}=${toBase64Url(JSON.stringify({ ...state, v: SCENARIO_VERSION }))}`;
+}
+
+// URL ハッシュからシナリオを読む
+//   reserved: migrateScenario() と同じ
+// 戻り値: migrateScenario() と同じ（シナリオを含まないハッシュは state・error とも null）
+export function decodeScenario(hash, reserved = []) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const text = params.get(HASH_KEY);
+  if (!text) return { state: null, error: null, warnings: [] };
+  let state;
+  try {
+    state = JSON.parse(fromBase64Url(text));
+  } catch (e) {
+    return { state: null, error: 'リンクのシナリオを読み込めません（途中で切れている可能性があります）', warnings: [] };
+  }
+  return migrateScenario(state, reserved);
+}
+
+// 名前付きプリセット（localStorage と同じ getItem・setItem を持つ storage に保存。null ならメモリ上だけ）
+// 保存済みのプリセットを読み込めなかった理由は loadErrors に置く。reserved は migrateScenario() と同じ
+export function createPresetStore(storage, reserved = []) {
+  let presets = {};
+  let loadErrors = [];
+  try {
+    const text = storage && storage.getItem(PRESET_STORAGE_KEY);
+    if (text) presets = JSON.parse(text) || {};
+  } catch (e) {
+    loadErrors = [`保存されたシナリオのプリセットを読み込めません（${e.message}）`];
+  }
+  const persist = () => {
+    if (storage) storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  };
+  return {
+    loadErrors,
+    names: () => Object.keys(presets).sort((a, b) => a.localeCompare(b, 'ja')),
+    // 保存した版から最新の版に変換して返す
+    get: name => presets[name] ? migrateScenario(presets[name], reserved) : { state: null, error: `プリセット「${name}」がありません`, warnings: [] },
+    save(name, state) {
+      presets[name] = { ...state, v: SCENARIO_VERSION };
+      persist();
+    },
+    remove(name) {
+      delete presets[name];
+      persist();
+    }
+  };
+}
@@ -0,0 +1,70 @@
+// 電流の空間ベクトル（Clarke 変換）と相ごとの回転フェーザ（空間ベクトル・フェーザ図のアニメーション用）
+// simulateInrush() の結果 data（t [ms]、iU・iV・iW [A]、等間隔）から求める。DOM に依存しない。
+
+import { PHASE_KEYS } from './analytics.js';
+
+const SQRT3 = Math.sqrt(3);
+
+// 再生速度（計算上の時間 [ms] / 実時間 [s]）
+export const PLAYBACK_SPEEDS = [
+  { value: 5, label: '1/200 倍' },
+  { value: 20, label: '1/50 倍' },
+  { value: 100, label: '1/10 倍' },
+  { value: 500, label: '1/2 倍' }
+];
+
+// Clarke 変換（振幅不変）: 三相の瞬時値 → α・β 成分
+// 平衡した正弦波なら空間ベクトルは相電流の振幅の円を描き、三相そろった直流分は円の中心をずらす
+export function clarke(iU, iV, iW) {
+  return { alpha: (2 * iU - iV - iW) / 3, beta: (iV - iW) / SQRT3 };
+}
+
+// 投入から表示範囲の終わりまでの空間ベクトルの軌跡
+// 戻り値: { t: [ms], alpha, beta: [A] }（投入時点から）、maxAbs: 大きさの最大値 [A]
+export function spaceVectorLocus(sim) {
+  const t = [], alpha = [], beta = [];
+  let maxAbs = 0;
+  sim.data.forEach(d => {
+    if (d.t < sim.stopMs - 1e-9 || d.t > sim.viewMs + 1e-9) return;
+    const v = clarke(d.iU, d.iV, d.iW);
+    t.push(d.t);
+    alpha.push(v.alpha);
+    beta.push(v.beta);
+    maxAbs = Math.max(maxAbs, Math.hypot(v.alpha, v.beta));
+  });
+  return { t, alpha, beta, maxAbs };
+}
+
+// 時刻 t [ms] の相ごとの回転フェーザ（基本波）と直流分
+// t を終わりとする1サイクル窓（投入から1サイクルに満たなければ投入からの1サイクル）で直流分と基本波を求め、
+// 基本波を時刻 t の位相まで回す。実部 + 直流分が窓の中での瞬時値の近似（減衰中は窓の平均的な値）
+//   frequency: 電源周波数 [Hz]
+// 戻り値: { phasors: [{ re, im, dc }]（相ごと [A]）, dc: 直流分の空間ベクトル { alpha, beta } }、投入前は null
+export function phasorsAt(sim, t, frequency) {
+  const data = sim.data;
+  if (t < sim.stopMs - 1e-9 || data.length < 2) return null;
+  const dtMs = data[1].t - data[0].t;
+  const n = Math.max(2, Math.round(1000 / frequency / dtMs));
+  const start = data.findIndex(d => d.t >= sim.stopMs - 1e-9);
+  const at = Math.min(data.length - 1, Math.round((t - data[0].t) / dtMs));
+  const end = Math.min(data.length, Math.max(at + 1, start + n));
+  const lo = Math.max(start, end - n);
+  const count = end - lo;
+  const w = 2 * Math.PI * frequency / 1000;
+
+  const phasors = PHASE_KEYS.map(key => {
+    let a = 0, b = 0, dc = 0;
+    for (let i = lo; i < end; i++) {
+      const v = data[i][key];
+      a += v * Math.cos(w * data[i].t);
+      b += v * Math.sin(w * data[i].t);
+      dc += v;
+    }
+    a *= 2 / count;
+    b *= 2 / count;
+    // 基本波 a cos ωt + b sin ωt = Re{(a − jb) e^{jωt}}
+    const c = Math.cos(w * t), s = Math.sin(w * t);
+    return { re: a * c + b * s, im: a * s - b * c, dc: dc / count };
+  });
+  return { phasors, dc: clarke(...phasors.map(p => p.dc)) };
+}
@@ -0,0 +1,124 @@
+// 周波数スペクトル（FFT による高調波・次数間高調波解析）
+// サンプル間隔は simulateInrush() の data と同じ dt = 周期 / 100 を前提に、窓長を整数サイクルとして
+// 高調波がちょうどビンに乗るようにする（窓長 N サイクルならビン間隔は f/N）。DOM に依存しない。
+
+export const SPECTRUM_WINDOWS = {
+  rectangular: '矩形（IEC 61000-4-7）',
+  hann: 'ハン (Hann)',
+  flattop: 'フラットトップ'
+};
+
+// 解析する最高次数（1サイクル 100 点ではナイキスト周波数が 50 次）
+export const MAX_HARMONIC = 49;
+
+// 窓関数（周期窓）
+function windowCoefficients(kind, n) {
+  const c = (...a) => Array.from({ length: n }, (_, i) =>
+    a.reduce((s, ak, k) => s + (k % 2 ? -ak : ak) * Math.cos(2 * Math.PI * k * i / n), 0));
+  if (kind === 'hann') return c(0.5, 0.5);
+  if (kind === 'flattop') return c(0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368);
+  return new Array(n).fill(1);
+}
+
+// 最小の素因数
+function smallestFactor(n) {
+  for (let p = 2; p * p <= n; p++) if (n % p === 0) return p;
+  return n;
+}
+
+// 任意長の FFT（混合基数 Cooley-Tukey、素数長は直接 DFT）
+//   re, im: 実部・虚部の配列（同じ長さ）
+// 戻り値: [実部, 虚部]
+export function fft(re, im) {
+  const n = re.length;
+  if (n <= 1) return [re.slice(), im.slice()];
+  const p = smallestFactor(n);
+  const m = n / p;
+  if (m === 1) {
+    // 素数長: 直接 DFT
+    const outRe = new Array(n).fill(0), outIm = new Array(n).fill(0);
+    for (let k = 0; k < n; k++) {
+      for (let j = 0; j < n; j++) {
+        const a = -2 * Math.PI * k * j / n;
+        outRe[k] += re[j] * Math.cos(a) - im[j] * Math.sin(a);
+        outIm[k] += re[j] * Math.sin(a) + im[j] * Math.cos(a);
+      }
+    }
+    return [outRe, outIm];
+  }
+  // p 本の部分列（j ≡ r mod p）をそれぞれ変換し、回転因子を掛けて合成する
+  const subs = Array.from({ length: p }, (_, r) => {
+    const sRe = new Array(m), sIm = new Array(m);
+    for (let j = 0; j < m; j++) { sRe[j] = re[j * p + r]; sIm[j] = im[j * p + r]; }
+    return fft(sRe, sIm);
+  });
+  const outRe = new Array(n).fill(0), outIm = new Array(n).fill(0);
+  for (let k = 0; k < n; k++) {
+    const q = k % m;
+    for (let r = 0; r < p; r++) {
+      const a = -2 * Math.PI * r * k / n;
+      const c = Math.cos(a), s = Math.sin(a);
+      const [sRe, sIm] = subs[r];
+      outRe[k] += sRe[q] * c - sIm[q] * s;
+      outIm[k] += sRe[q] * s + sIm[q] * c;
+    }
+  }
+  return [outRe, outIm];
+}
+
+// 整数サイクルの区間の高調波解析
+//   values:          サンプル列（長さは samplesPerCycle の整数倍であること）
+//   samplesPerCycle: 1サイクルの点数
+//   window:          SPECTRUM_WINDOWS のキー
+//   maxOrder:        解析する最高次数
+// 戻り値（電流 [A]、高調波・次数間高調波は実効値）:
+//   cycles:          窓長 [サイクル]
+//   dc:              直流分（平均値）
+//   harmonics:       次数 h の実効値（harmonics[1] が基本波、[0] は未使用で 0）
+//   interharmonics:  次数 h と h+1 の間のビンをまとめた実効値（interharmonics[h]、1サイクル窓では 0）
+//   thd:             総合高調波ひずみ率 [%]（2次～maxOrder、基本波がなければ 0）
+// 矩形以外の窓では、次数間高調波のまとめに等価雑音帯域幅で割ったエネルギーを使う（高調波の漏れを含む）
+export function harmonicAnalysis(values, samplesPerCycle, window = 'rectangular', maxOrder = MAX_HARMONIC) {
+  const n = values.length;
+  const cycles = Math.floor(n / samplesPerCycle);
+  const w = windowCoefficients(window, n);
+  const sumW = w.reduce((a, x) => a + x, 0);
+  const enbw = n * w.reduce((a, x) => a + x * x, 0) / (sumW * sumW);
+  const [re, im] = fft(values.map((v, i) => v * w[i]), new Array(n).fill(0));
+  // ビン k の実効値（直流は平均値）
+  const bin = k => Math.hypot(re[k], im[k]) / sumW * (k === 0 ? 1 : Math.SQRT2);
+  const top = Math.min(maxOrder, Math.floor((n / 2 - 1) / cycles));
+
+  const harmonics = new Array(top + 1).fill(0);
+  const interharmonics = new Array(top + 1).fill(0);
+  for (let h = 1; h <= top; h++) {
+    harmonics[h] = bin(h * cycles);
+    let e = 0;
+    for (let k = h * cycles + 1; k < (h + 1) * cycles && k < n / 2; k++) e += bin(k) ** 2;
+    interharmonics[h] = Math.sqrt(e / enbw);
+  }
+  const hSum = harmonics.slice(2).reduce((a, x) => a + x * x, 0);
+  return {
+    cycles,
+    dc: re[0] / sumW,
+    harmonics,
+    interharmonics,
+    thd: harmonics[1] > 0 ? Math.sqrt(hSum) / harmonics[1] * 100 : 0
+  };
+}
+
+// 移動窓による THD の時間変化 [%]
+// 1サイクル窓を hop 点ごとに進めて求め、次の計算点まで値を保持する（values と同じ長さ）
+//   minFundamental: 基本波の実効値がこれ未満の区間は 0（停止中・開路中）
+export function slidingThd(values, samplesPerCycle, { hop = Math.round(samplesPerCycle / 4), window = 'rectangular', minFundamental = 0 } = {}) {
+  const out = new Array(values.length).fill(0);
+  let value = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (i + 1 >= samplesPerCycle && (i + 1 - samplesPerCycle) % hop === 0) {
+      const a = harmonicAnalysis(values.slice(i + 1 - samplesPerCycle, i + 1), samplesPerCycle, window);
+      value = a.harmonics[1] >= minFundamental ? a.thd : 0;
+    }
+    out[i] = value;
+  }
+  return out;
+}
@@ -0,0 +1,149 @@
+// 始動方式
+// 電源電圧ベクトル（α-β）から機端電圧を作り、機端電流から電源側（線路）電流を求める。
+// 切替は出力サンプル時刻ごとの update() で判定し、サンプル間では状態を保持する。
+
+export const STARTING_METHODS = {
+  dol: '直入れ (DOL)',
+  starDelta: 'スターデルタ',
+  autotransformer: '単巻変圧器 (コンドルファ)',
+  softStarter: 'ソフトスタータ',
+  vfd: 'インバータ (V/f)'
+};
+
+export const AUTOTRANSFORMER_TAPS = [0.5, 0.65, 0.8];
+
+// 既定値（画面の初期値と同じ）
+export const STARTER_DEFAULTS = {
+  changeoverTime: 3,      // スターデルタ・単巻変圧器の切替時刻 [s]
+  transitionTime: 0.05,   // スターデルタ切替時の開路時間 [s]
+  tap: 0.65,              // 単巻変圧器タップ
+  initialVoltage: 0.4,    // ソフトスタータ初期電圧 [p.u.]
+  rampTime: 5,            // ソフトスタータ・インバータのランプ時間 [s]
+  currentLimit: 3.5,      // ソフトスタータ電流制限 [定格電流比]、0 で制限なし
+  boost: 0.05             // インバータ 0 Hz 時の電圧ブースト [p.u.]
+};
+
+const SQRT3 = Math.sqrt(3);
+const rot = (k, ang, [a, b]) => {
+  const c = Math.cos(ang), s = Math.sin(ang);
+  return [k * (c * a - s * b), k * (s * a + c * b)];
+};
+
+// 始動器を作る
+//   method:  STARTING_METHODS のキー
+//   options: STARTER_DEFAULTS と同じキー（省略分は既定値）
+//   ctx:     { omega, Vpeak, Ipeak }（Ipeak は定格電流の波高値）
+// 戻り値:
+//   update(t, lineAmp):     サンプル時刻ごとに段階を更新（lineAmp: 線路電流ベクトルの大きさ [A]）
+//   motorVoltage(t, vs):    電源電圧 vs に対する機端電圧。開路中は null
+//   lineCurrent(is, vm, vs): 機端電流 is から線路電流を求める
+//   impedanceRatio():       電源側インピーダンスを機端側へ換算する係数（機端/電源の電圧比 × 線路/機端の電流比）
+//   stage:                  現在の段階名（表示用）
+//   changeover:             切替を伴う方式なら切替時刻 [s]
+export function createStarter(method = 'dol', options = {}, ctx) {
+  const o = { ...STARTER_DEFAULTS, ...options };
+  switch (method) {
+    case 'dol':
+      return {
+        stage: 'run',
+        changeover: null,
+        update() {},
+        motorVoltage: (t, vs) => vs,
+        lineCurrent: is => is,
+        impedanceRatio: () => 1
+      };
+
+    // 三角結線の電動機を等価Y結線で扱う。Y結線中の巻線電圧は 1/√3 倍・30° 遅れ、
+    // 線路電流は機端電流の 1/√3 倍・30° 進み（電力が保存される変換）
+    case 'starDelta': {
+      const st = {
+        stage: 'star',
+        changeover: o.changeoverTime,
+        update(t) {
+          st.stage = t < o.changeoverTime ? 'star'
+            : t < o.changeoverTime + o.transitionTime ? 'open' : 'delta';
+        },
+        motorVoltage(t, vs) {
+          if (st.stage === 'open') return null;
+          return st.stage === 'star' ? rot(1 / SQRT3, -Math.PI / 6, vs) : vs;
+        },
+        lineCurrent(is) {
+          if (st.stage === 'open') return [0, 0];
+          return st.stage === 'star' ? rot(1 / SQRT3, Math.PI / 6, is) : is;
+        },
+        impedanceRatio: () => st.stage === 'star' ? 1 / 3 : 1
+      };
+      return st;
+    }
+
+    // 単巻変圧器: 機端電圧 k 倍、線路電流 k 倍（クローズドトランジションで全電圧へ切替）
+    case 'autotransformer': {
+      const k = o.tap;
+      const st = {
+        stage: 'tap',
+        changeover: o.changeoverTime,
+        update(t) { st.stage = t < o.changeoverTime ? 'tap' : 'run'; },
+        motorVoltage: (t, vs) => st.stage === 'tap' ? [k * vs[0], k * vs[1]] : vs,
+        lineCurrent: is => st.stage === 'tap' ? [k * is[0], k * is[1]] : is,
+        impedanceRatio: () => st.stage === 'tap' ? k * k : 1
+      };
+      return st;
+    }
+
+    // ソフトスタータ: サイリスタ位相制御の基本波電圧を k 倍として扱う。線路電流 = 機端電流
+    // 電流制限は線路電流が制限値を超えたとき k を比例的に下げる
+    case 'softStarter': {
+      const limit = o.currentLimit > 0 ? o.currentLimit * ctx.Ipeak : Infinity;
+      const rate = (1 - o.initialVoltage) / Math.max(o.rampTime, 1e-3);
+      let last = 0;
+      const st = {
+        stage: 'ramp',
+        changeover: null,
+        k: o.initialVoltage,
+        update(t, lineAmp) {
+          const dt = t - last;
+          last = t;
+          if (st.stage === 'run') return;
+          const ramp = Math.min(1, o.initialVoltage + rate * t);
+          if (lineAmp > limit) st.k = Math.max(0.05, st.k * (1 - 0.5 * (lineAmp / limit - 1)));
+          else st.k = Math.min(ramp, st.k + 2 * rate * dt);
+          if (st.k >= 1) { st.k = 1; st.stage = 'run'; }
+        },
+        motorVoltage: (t, vs) => [st.k * vs[0], st.k * vs[1]],
+        lineCurrent: is => is,
+        impedanceRatio: () => st.k
+      };
+      return st;
+    }
+
+    // インバータ: 周波数を 0 から定格まで直線的に上げ、電圧は V/f 一定（低速域はブースト）
+    // 電源側は整流器入力として有効電力分の電流のみを電源電圧と同相で流すとみなす
+    case 'vfd': {
+      const Tr = Math.max(o.rampTime, 1e-3);
+      const st = {
+        stage: 'ramp',
+        changeover: null,
+        update(t) { st.stage = t < Tr ? 'ramp' : 'run'; },
+        motorVoltage(t, vs) {
+          const fr = Math.min(1, t / Tr);
+          const theta = t < Tr ? ctx.omega * t * t / (2 * Tr) : ctx.omega * (t - Tr / 2);
+          const mag = o.boost + (1 - o.boost) * fr;
+          // vs の初期位相を引き継ぐ（vs = Vp·e^{j(ωt+φ)} → φ = ∠vs − ωt）
+          const phase = Math.atan2(vs[1], vs[0]) - ctx.omega * t;
+          return [mag * ctx.Vpeak * Math.cos(theta + phase), mag * ctx.Vpeak * Math.sin(theta + phase)];
+        },
+        lineCurrent(is, vm, vs) {
+          const p = Math.max(0, vm[0] * is[0] + vm[1] * is[1]);
+          const v2 = vs[0] * vs[0] + vs[1] * vs[1];
+          return [p / v2 * vs[0], p / v2 * vs[1]];
+        },
+        // 直流中間回路で切り離されるため電動機側には現れない
+        impedanceRatio: () => 0
+      };
+      return st;
+    }
+
+    default:
+      throw new Error(`未知の始動方式です: ${method}`);
+  }
+}
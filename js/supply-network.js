@@ -0,0 +1,57 @@
+// 電源系統のインピーダンス（上位系統・変圧器・ケーブル）
+// 上位系統 → 変圧器 → 受電点 PCC（低圧母線）→ ケーブル → 始動器・電動機 の直列回路とし、
+// 変圧器二次の無負荷電圧を定格電圧とする。インピーダンスはすべて低圧側（定格電圧）換算の相当たり [Ω]。
+
+export const NETWORK_DEFAULTS = {
+  scMVA: 250,            // 上位系統の短絡容量 [MVA]（0 で無限大）
+  gridXR: 10,            // 上位系統の X/R
+  transformerKVA: 500,   // 変圧器容量 [kVA]
+  transformerZ: 5,       // 変圧器の %Z [%]
+  transformerXR: 6,      // 変圧器の X/R
+  cableLength: 50,       // ケーブル長 [m]
+  cableSection: 35,      // ケーブル断面積 [mm²]
+  dipLimit: 3            // 許容電圧低下 [%]（表示・判定用）
+};
+
+// 選択できるケーブル断面積 [mm²]
+export const CABLE_SECTIONS = [2.5, 4, 6, 10, 16, 25, 35, 50, 70, 95, 120, 150, 185, 240];
+
+// 銅導体の抵抗率（最高許容温度付近）[Ω·mm²/m] と低圧多心ケーブルのリアクタンス [Ω/m]
+const CU_RESISTIVITY = 0.0225;
+const CABLE_REACTANCE = 0.08e-3;
+
+// 大きさ Z と X/R から R・X に分ける
+const split = (Z, xr) => {
+  const R = Z / Math.sqrt(1 + xr * xr);
+  return { R, X: R * xr };
+};
+
+// 各部のインピーダンスを求める
+//   options: NETWORK_DEFAULTS と同じキー（省略分は既定値）
+// 戻り値（R・X [Ω]、L [H]）:
+//   grid・transformer・cable: { R, X }
+//   pcc:   受電点より電源側の合計 { R, X, L }
+//   total: 電動機端（始動器の電源側）までの合計 { R, X, L }
+//   scMVA: 受電点・機端の短絡容量 [MVA] { pcc, terminal }
+export function networkImpedance(options = {}, { ratedVoltage, frequency }) {
+  const o = { ...NETWORK_DEFAULTS, ...options };
+  const omega = 2 * Math.PI * frequency;
+  const V2 = ratedVoltage * ratedVoltage;
+  const grid = o.scMVA > 0 ? split(V2 / (o.scMVA * 1e6), o.gridXR) : { R: 0, X: 0 };
+  const transformer = o.transformerKVA > 0 ? split(o.transformerZ / 100 * V2 / (o.transformerKVA * 1e3), o.transformerXR) : { R: 0, X: 0 };
+  const cable = o.cableSection > 0
+    ? { R: CU_RESISTIVITY * o.cableLength / o.cableSection, X: CABLE_REACTANCE * o.cableLength }
+    : { R: 0, X: 0 };
+  const sum = (...parts) => {
+    const R = parts.reduce((a, p) => a + p.R, 0);
+    const X = parts.reduce((a, p) => a + p.X, 0);
+    return { R, X, L: X / omega };
+  };
+  const pcc = sum(grid, transformer);
+  const total = sum(grid, transformer, cable);
+  const sc = z => {
+    const Z = Math.hypot(z.R, z.X);
+    return Z > 0 ? V2 / Z / 1e6 : Infinity;
+  };
+  return { grid, transformer, cable, pcc, total, scMVA: { pcc: sc(pcc), terminal: sc(total) } };
+}
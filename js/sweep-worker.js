@@ -0,0 +1,13 @@
+// sweep.js のスイープを Web Worker で動かす（画面を止めない）
+// 受信: runSweep() の入力、送信: { type: 'progress', done, total } / { type: 'done', result } / { type: 'error', message }
+
+import { runSweep } from './sweep.js';
+
+self.onmessage = e => {
+  try {
+    const result = runSweep(e.data, (done, total) => self.postMessage({ type: 'progress', done, total }));
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,85 @@
+// パラメータスイープ: 1～2個の入力を格子状に変えて simulateInrush() を繰り返し、最大瞬時電流・DC成分ピーク・I²t を求める
+// DOM に依存しない（画面からは sweep-worker.js を通して Web Worker で動かす）。
+
+import { simulateInrush } from './inrush-engine.js';
+import { analyzeCurrents, runMetrics } from './analytics.js';
+import { STARTING_METHODS } from './starting-methods.js';
+
+// スイープできるパラメータ
+//   range・steps: 画面の初期値（values があるものは選択肢をすべて使う）
+//   models: 使えるモデル、set: simulateInrush() の入力に値を入れる
+export const SWEEP_PARAMETERS = {
+  switchAngle: { label: '投入位相角', unit: '°', range: [0, 345], steps: 24, models: ['simple', 'dq'], set: (p, v) => ({ ...p, switchAngle: v }) },
+  dcTau: { label: 'DC減衰時定数', unit: 'ms', range: [10, 200], steps: 20, models: ['simple'], set: (p, v) => ({ ...p, dcTau: v }) },
+  ratedPower: { label: '定格出力', unit: 'kW', range: [0.75, 37], steps: 10, models: ['simple', 'dq'], set: (p, v) => ({ ...p, ratedPower: v }) },
+  ratedVoltage: { label: '定格電圧', unit: 'V', range: [200, 6600], steps: 5, models: ['simple', 'dq'], set: (p, v) => ({ ...p, ratedVoltage: v }) },
+  startingMethod: {
+    label: '始動方式', unit: '', values: Object.keys(STARTING_METHODS), labels: Object.values(STARTING_METHODS),
+    models: ['dq'], set: (p, v) => ({ ...p, startingMethod: v })
+  }
+};
+
+// 求める指標
+export const SWEEP_METRICS = {
+  maxI: { label: '最大瞬時電流', unit: 'A' },
+  dcPeak: { label: 'DC成分ピーク', unit: 'A' },
+  i2t: { label: 'I²t', unit: 'A²s' }
+};
+
+// 格子の点数の上限（計算時間の目安）
+export const MAX_SWEEP_POINTS = 2000;
+
+// 軸の値（数値は from～to を steps 点で等分、選択肢のあるパラメータは全部）
+export function sweepValues(key, { from, to, steps }) {
+  const def = SWEEP_PARAMETERS[key];
+  if (def.values) return def.values.slice();
+  const n = Math.max(2, Math.round(steps));
+  return Array.from({ length: n }, (_, i) => Number((from + (to - from) * i / (n - 1)).toPrecision(6)));
+}
+
+// 1回の計算の指標
+function metrics(sim, frequency) {
+  const { maxI, dcPeak, i2t } = runMetrics(sim, analyzeCurrents(sim, frequency));
+  return { maxI, dcPeak, i2t };
+}
+
+// スイープの実行
+//   params: simulateInrush() の入力（変えない入力の値）
+//   axes:   [{ key, values }]（1～2軸。2軸目は内側のループ）
+//   onProgress: (済んだ点数, 全点数) を受け取る関数
+// 戻り値: { axes, cells }（cells は1軸目を外側にした並びで { maxI, dcPeak, i2t }、計算できなかった点は { error }）
+export function runSweep({ params, axes }, onProgress = () => {}) {
+  if (!axes.length || axes.length > 2) throw new Error('スイープするパラメータは1つか2つです');
+  const [a, b = { key: null, values: [null] }] = axes;
+  const total = a.values.length * b.values.length;
+  if (total > MAX_SWEEP_POINTS) throw new Error(`点数が多すぎます（${total} 点、上限 ${MAX_SWEEP_POINTS} 点）`);
+  const cells = [];
+  a.values.forEach(va => {
+    b.values.forEach(vb => {
+      let p = SWEEP_PARAMETERS[a.key].set(params, va);
+      if (b.key) p = SWEEP_PARAMETERS[b.key].set(p, vb);
+      try {
+        cells.push(metrics(simulateInrush(p), params.frequency));
+      } catch (e) {
+        cells.push({ error: e.message });
+      }
+      onProgress(cells.length, total);
+    });
+  });
+  return { axes, cells };
+}
+
+// 結果の CSV（1行1点。1行目は見出し）
+export function sweepCsv({ axes, cells }) {
+  const head = [...axes.map(({ key }) => {
+    const def = SWEEP_PARAMETERS[key];
+    return def.unit ? `${key} [${def.unit}]` : key;
+  }), ...Object.entries(SWEEP_METRICS).map(([key, m]) => `${key} [${m.unit}]`)];
+  const num = v => typeof v === 'number' ? String(+v.toPrecision(7)) : '';
+  const nb = axes[1] ? axes[1].values.length : 1;
+  const rows = cells.map((c, i) => {
+    const coords = [axes[0].values[Math.floor(i / nb)], ...(axes[1] ? [axes[1].values[i % nb]] : [])];
+    return [...coords.map(v => typeof v === 'number' ? num(v) : v), ...Object.keys(SWEEP_METRICS).map(k => num(c[k]))].join(',');
+  });
+  return [head.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,70 @@
+// 同期機の始動: ダンパ巻線による非同期加速 → 界磁投入 → 同期引入れ（または脱調）
+// 界磁は始動中に放電抵抗で短絡し、スリップが投入スリップ以下になったら直流励磁する。
+
+import { setFieldExcitation } from './machine-model.js';
+
+// 既定値（画面の初期値と同じ）
+export const FIELD_DEFAULTS = {
+  applySlip: 0.05,      // 界磁投入スリップ
+  fieldCurrent: 1.5,    // 投入する界磁電流 [p.u.、無負荷定格電圧相当 = 1]
+  dischargeRatio: 8     // 始動中の放電抵抗 [界磁抵抗の倍数]
+};
+
+// 同期とみなすスリップの幅と、引入れ成功の判定に必要な同期継続時間 [s]
+export const SYNC_SLIP = 0.005;
+export const SYNC_HOLD = 0.2;
+
+export const PULL_IN_STATUS = {
+  success: '引入れ成功',
+  poleSlip: '脱調',
+  notReached: '界磁投入スリップ未到達',
+  undetermined: '判定不可（計算時間不足）'
+};
+
+// 界磁投入の制御
+// 戻り値: applied（投入済みか）、time（投入時刻 [s]、未投入は null）、update(t, slip)
+export function createFieldControl(m, options = {}) {
+  const o = { ...FIELD_DEFAULTS, ...options };
+  const Rdis = o.dischargeRatio * m.field.R;
+  setFieldExcitation(m, { applied: false, Rdis });
+  const fc = {
+    applied: false,
+    time: null,
+    applySlip: o.applySlip,
+    update(t, slip) {
+      if (fc.applied || t <= 0 || slip > o.applySlip) return false;
+      fc.applied = true;
+      fc.time = t;
+      setFieldExcitation(m, { applied: true, ifd: o.fieldCurrent });
+      return true;
+    }
+  };
+  return fc;
+}
+
+// 負荷角 δ [°]: 機端電圧ベクトルから回転子 q 軸（誘起電圧の向き）までの遅れ角（-180～180）
+//   theta: 回転子 d 軸の電気角 [rad]、v: 機端電圧 [vα, vβ]
+export function loadAngle(theta, v) {
+  const d = Math.atan2(v[1], v[0]) - (theta + Math.PI / 2);
+  return Math.atan2(Math.sin(d), Math.cos(d)) * 180 / Math.PI;
+}
+
+// 引入れ判定
+//   samples: [{ t, slip, delta }]（delta は loadAngle の値）、fieldTime: 界磁投入時刻（未投入は null）
+// 戻り値: { status, fieldTime, syncTime, poleSlips }
+//   syncTime: 以後 |s| < SYNC_SLIP が続く最初の時刻、poleSlips: 界磁投入後に δ が ±180° を越えた回数
+export function evaluatePullIn(samples, fieldTime) {
+  if (fieldTime === null) return { status: 'notReached', fieldTime, syncTime: null, poleSlips: 0 };
+  let poleSlips = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i].t > fieldTime && Math.abs(samples[i].delta - samples[i - 1].delta) > 180) poleSlips++;
+  }
+  let k = samples.length;
+  while (k > 0 && samples[k - 1].t >= fieldTime && Math.abs(samples[k - 1].slip) < SYNC_SLIP) k--;
+  const tEnd = samples[samples.length - 1].t;
+  const syncTime = k < samples.length ? samples[k].t : null;
+  // 終端で同期中だが継続時間が短い場合は、途中で脱調していても判定しない
+  const status = syncTime === null ? (poleSlips > 0 ? 'poleSlip' : 'undetermined')
+    : tEnd - syncTime >= SYNC_HOLD ? 'success' : 'undetermined';
+  return { status, fieldTime, syncTime, poleSlips };
+}
@@ -0,0 +1,100 @@
+// 計算波形の書き出し（CSV・IEEE C37.111-1999 COMTRADE）
+// simulateInrush() の data（t [ms]、等間隔）をそのまま書き出す。DOM に依存しない。
+
+export const EXPORT_FORMATS = {
+  csv: 'CSV',
+  comtradeAscii: 'COMTRADE (ASCII)',
+  comtradeBinary: 'COMTRADE (BINARY)'
+};
+
+// CSV の列（data にある列だけ書き出す）: [キー, 見出し]
+const CSV_COLUMNS = [
+  ['iU', 'iU [A]'], ['iV', 'iV [A]'], ['iW', 'iW [A]'],
+  ['dcU', 'dcU [A]'], ['dcV', 'dcV [A]'], ['dcW', 'dcW [A]'],
+  ['envP', 'envelope+ [A]'], ['envN', 'envelope- [A]'],
+  ['speed', 'speed [min-1]'], ['Te', 'Te [N·m]'], ['TL', 'TL [N·m]'],
+  ['ifd', 'ifd [p.u.]'], ['vPcc', 'vPcc [%]'], ['vTerm', 'vTerm [%]']
+];
+
+// COMTRADE のアナログチャンネル（三相電流）
+const COMTRADE_CHANNELS = [
+  { key: 'iU', id: 'IU', ph: 'A' },
+  { key: 'iV', id: 'IV', ph: 'B' },
+  { key: 'iW', id: 'IW', ph: 'C' }
+];
+// 1999 年版の 16 ビット整数の範囲（−32768 は欠測値として予約）
+const INT16_MAX = 32767;
+
+// CSV（1行目は見出し。数値は指数表記を避けて有効数字 7 桁）
+//   analysis: analyzeCurrents() の結果（あれば1サイクル・半サイクル実効値の列を加える）
+export function waveformCsv(sim, analysis = null) {
+  const cols = CSV_COLUMNS.filter(([key]) => sim.data.some(d => typeof d[key] === 'number'));
+  const header = ['t [ms]', ...cols.map(c => c[1])];
+  if (analysis) header.push('rmsU [A]', 'rmsV [A]', 'rmsW [A]', 'halfRmsU [A]', 'halfRmsV [A]', 'halfRmsW [A]');
+  const num = v => typeof v === 'number' ? String(+v.toPrecision(7)) : '';
+  const rows = sim.data.map((d, i) => {
+    const row = [num(d.t), ...cols.map(([key]) => num(d[key]))];
+    if (analysis) row.push(...analysis.rms.map(r => num(r[i])), ...analysis.halfRms.map(r => num(r[i])));
+    return row.join(',');
+  });
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// COMTRADE の日時 dd/mm/yyyy,hh:mm:ss.ssssss（UTC）
+function comtradeTime(date, extraMicros = 0) {
+  const us = date.getTime() * 1000 + Math.round(extraMicros);
+  const d = new Date(Math.floor(us / 1000));
+  const p = (v, n = 2) => String(v).padStart(n, '0');
+  const micro = ((us % 1e6) + 1e6) % 1e6;
+  return `${p(d.getUTCDate())}/${p(d.getUTCMonth() + 1)}/${d.getUTCFullYear()},${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}.${p(micro, 6)}`;
+}
+
+// COMTRADE の .cfg と .dat
+//   options.format:    'ASCII' | 'BINARY'
+//   options.frequency: 系統周波数 [Hz]
+//   options.station・options.device: 変電所名・記録装置名（カンマは使えないため除く）
+//   options.start:     最初のサンプルの日時（Date、既定は書き出した時刻）
+// 戻り値: { cfg: 文字列, dat: 文字列（ASCII）または Uint8Array（BINARY） }
+// トリガ時刻は投入の瞬時（sim.stopMs、最初に閉じた極）。チャンネルは a·値 + b [A] で、b = 0、a は最大値を ±32767 に合わせる
+export function waveformComtrade(sim, { format = 'ASCII', frequency, station = 'INRUSH-SIM', device = 'MOTOR', start = new Date() } = {}) {
+  const data = sim.data;
+  const n = data.length;
+  const dtMs = n > 1 ? data[1].t - data[0].t : 1000 / frequency / 100;
+  const rate = 1000 / dtMs;
+  const clean = s => String(s).replace(/,/g, ' ');
+  const channels = COMTRADE_CHANNELS.map(c => {
+    const max = data.reduce((m, d) => Math.max(m, Math.abs(d[c.key])), 0);
+    return { ...c, a: max > 0 ? max / INT16_MAX : 1 };
+  });
+  const samples = data.map(d => channels.map(c => Math.max(-INT16_MAX, Math.min(INT16_MAX, Math.round(d[c.key] / c.a)))));
+  const stamp = i => Math.round((data[i].t - data[0].t) * 1000);
+
+  const cfg = [
+    `${clean(station)},${clean(device)},1999`,
+    `${channels.length},${channels.length}A,0D`,
+    ...channels.map((c, k) => `${k + 1},${c.id},${c.ph},,A,${c.a.toPrecision(7)},0,0,${-INT16_MAX},${INT16_MAX},1,1,P`),
+    `${frequency}`,
+    '1',
+    `${+rate.toPrecision(10)},${n}`,
+    comtradeTime(start),
+    comtradeTime(start, (sim.stopMs - data[0].t) * 1000),
+    format === 'BINARY' ? 'BINARY' : 'ASCII',
+    '1'
+  ].join('\r\n') + '\r\n';
+
+  if (format !== 'BINARY') {
+    const dat = samples.map((v, i) => `${i + 1},${stamp(i)},${v.join(',')}`).join('\r\n') + '\r\n';
+    return { cfg, dat };
+  }
+  // BINARY: サンプル番号・時刻 [µs]（各 uint32）とアナログ値（int16）、リトルエンディアン。デジタルチャンネルはなし
+  const recordBytes = 8 + 2 * channels.length;
+  const buffer = new ArrayBuffer(recordBytes * n);
+  const view = new DataView(buffer);
+  samples.forEach((v, i) => {
+    const o = i * recordBytes;
+    view.setUint32(o, i + 1, true);
+    view.setUint32(o + 4, stamp(i), true);
+    v.forEach((x, k) => view.setInt16(o + 8 + 2 * k, x, true));
+  });
+  return { cfg, dat: new Uint8Array(buffer) };
+}
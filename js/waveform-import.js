@@ -0,0 +1,258 @@
+// 実測波形（COMTRADE・CSV）の読込み、投入時刻の検出と計算波形との比較
+// 読み込んだ記録は { channels: [{ id, unit, values }], t: 時刻 [ms], trigger: トリガ時刻 [ms] | null, frequency } で扱う。
+// DOM に依存しない。
+
+// 1行の CSV（引用符で囲んだ値のカンマ・二重引用符に対応）
+function splitCsvLine(line) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { out.push(cur.trim()); cur = ''; }
+    else cur += c;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+const textLines = text => text.split(/\r?\n/).filter(l => l.trim() !== '');
+
+// COMTRADE の日時 dd/mm/yyyy,hh:mm:ss.ssssss を µs に（日付の差だけを使うので基準は任意）
+function comtradeMicros(date, time) {
+  const [d, m, y] = (date || '').split('/').map(Number);
+  const [hh, mm, ss] = (time || '').split(':');
+  if (![d, m, y].every(Number.isFinite) || ss === undefined) return null;
+  const [sec, frac = ''] = ss.split('.');
+  const ms = Date.UTC(y, m - 1, d, Number(hh), Number(mm), Number(sec));
+  return ms * 1000 + Number((frac + '000000').slice(0, 6));
+}
+
+// COMTRADE（IEEE C37.111 1991・1999・2013）
+//   cfgText: .cfg の内容
+//   dat:     .dat の内容（ASCII は文字列、BINARY・BINARY32・FLOAT32 は ArrayBuffer / Uint8Array）
+// アナログチャンネルだけを返す（値は a·x + b、二次側の値 S は一次/二次の比で一次側に換算）
+// 読めない場合はエラーを投げる
+export function parseComtrade(cfgText, dat) {
+  const lines = textLines(cfgText).map(splitCsvLine);
+  const fail = msg => { throw new Error(`COMTRADE .cfg: ${msg}`); };
+  if (lines.length < 2) fail('行が足りません');
+  const rev = Number(lines[0][2]) || 1991;
+  const nA = parseInt(lines[1][1]), nD = parseInt(lines[1][2]);
+  if (!Number.isFinite(nA) || !Number.isFinite(nD)) fail('2行目のチャンネル数 (TT,##A,##D) を読めません');
+  const analog = lines.slice(2, 2 + nA).map((f, k) => {
+    const a = Number(f[5]), b = Number(f[6]) || 0;
+    if (!Number.isFinite(a)) fail(`アナログチャンネル ${k + 1} の倍率 a を読めません`);
+    const primary = Number(f[10]), secondary = Number(f[11]);
+    const toPrimary = (f[12] || '').toUpperCase() === 'S' && primary > 0 && secondary > 0 ? primary / secondary : 1;
+    return { id: f[1] || `A${k + 1}`, ph: f[2] || '', unit: f[4] || '', a: a * toPrimary, b: b * toPrimary };
+  });
+  let p = 2 + nA + nD;
+  const frequency = Number(lines[p++]?.[0]) || null;
+  const nrates = parseInt(lines[p++]?.[0]) || 0;
+  const rates = [];
+  for (let k = 0; k < nrates; k++, p++) rates.push({ samp: Number(lines[p][0]), end: parseInt(lines[p][1]) });
+  if (!nrates) p++; // nrates = 0 のときも samp,endsamp の行（0,n）がある
+  const start = comtradeMicros(...(lines[p++] || []));
+  const trig = comtradeMicros(...(lines[p++] || []));
+  const format = ((lines[p++] || [])[0] || 'ASCII').toUpperCase();
+  const timemult = rev >= 1999 ? Number((lines[p++] || [])[0]) || 1 : 1;
+
+  // サンプルの読込み: [番号, 時刻, アナログ値...]
+  const records = [];
+  if (format === 'ASCII') {
+    if (typeof dat !== 'string') dat = new TextDecoder().decode(dat);
+    textLines(dat).forEach(l => {
+      const f = l.split(',');
+      records.push([Number(f[0]), Number(f[1]), ...f.slice(2, 2 + nA).map(Number)]);
+    });
+  } else {
+    const bytes = dat instanceof Uint8Array ? dat : new Uint8Array(dat);
+    const size = { BINARY: 2, BINARY32: 4, FLOAT32: 4 }[format];
+    if (!size) fail(`ファイル形式 ${format} には対応していません`);
+    const recordBytes = 8 + size * nA + 2 * Math.ceil(nD / 16);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let o = 0; o + recordBytes <= bytes.byteLength; o += recordBytes) {
+      const r = [view.getUint32(o, true), view.getUint32(o + 4, true)];
+      for (let k = 0; k < nA; k++) {
+        const q = o + 8 + size * k;
+        r.push(format === 'BINARY' ? view.getInt16(q, true) : format === 'BINARY32' ? view.getInt32(q, true) : view.getFloat32(q, true));
+      }
+      records.push(r);
+    }
+  }
+  if (!records.length) throw new Error('COMTRADE .dat: サンプルがありません');
+
+  // 時刻 [ms]: サンプリング周波数があればそれを使い、なければ各サンプルの時刻（µs × timemult）
+  const t = [];
+  if (rates.length && rates[0].samp > 0) {
+    let k = 0, tk = 0, prevEnd = 0;
+    records.forEach((_, i) => {
+      while (k < rates.length - 1 && i >= rates[k].end) { tk += (rates[k].end - prevEnd) / rates[k].samp; prevEnd = rates[k].end; k++; }
+      t.push((tk + (i - prevEnd) / rates[k].samp) * 1000);
+    });
+  } else {
+    records.forEach(r => t.push(r[1] * timemult / 1000));
+  }
+  const missing = format === 'BINARY' ? -32768 : null;
+  return {
+    channels: analog.map((c, k) => ({
+      id: c.ph ? `${c.id} (${c.ph})` : c.id,
+      unit: c.unit,
+      values: records.map(r => r[2 + k] === missing || !Number.isFinite(r[2 + k]) ? NaN : c.a * r[2 + k] + c.b)
+    })),
+    t,
+    trigger: start !== null && trig !== null ? (trig - start) / 1000 + t[0] : null,
+    frequency
+  };
+}
+
+// CSV（1列目が時刻、2列目以降が各チャンネル。1行目が数値でなければ見出し）
+//   timeUnit: 'ms' | 's' | 'auto'（見出しに ms・s があればそれ、なければ全体の長さが 100 未満なら秒とみなす）
+export function parseCsv(text, timeUnit = 'auto') {
+  const rows = textLines(text).map(l => splitCsvLine(l.replace(/;/g, ',')));
+  if (rows.length < 2) throw new Error('CSV: データ行がありません');
+  const hasHeader = rows[0].some(v => v !== '' && !Number.isFinite(Number(v)));
+  const header = hasHeader ? rows[0] : rows[0].map((_, k) => k === 0 ? 't' : `ch${k}`);
+  const body = (hasHeader ? rows.slice(1) : rows).map(r => r.map(Number)).filter(r => Number.isFinite(r[0]));
+  if (body.length < 2 || header.length < 2) throw new Error('CSV: 時刻と1つ以上のチャンネルの列が必要です');
+  let unit = timeUnit;
+  if (unit === 'auto') {
+    const h = header[0].toLowerCase();
+    unit = /\bms\b|\[ms\]|msec/.test(h) ? 'ms' : /\[s\]|\(s\)|sec/.test(h) ? 's'
+      : body[body.length - 1][0] - body[0][0] < 100 ? 's' : 'ms';
+  }
+  const scale = unit === 's' ? 1000 : 1;
+  return {
+    channels: header.slice(1).map((id, k) => ({ id: id || `ch${k + 1}`, unit: '', values: body.map(r => r[k + 1]) })),
+    t: body.map(r => r[0] * scale),
+    trigger: null,
+    frequency: null
+  };
+}
+
+// 投入時刻 [ms] の検出
+// 最初の 1 サイクル（記録の 1/4 まで）の平均をオフセット、標準偏差を雑音とし、オフセットからの偏差が
+// max(雑音の 8 倍, 最大偏差の 5 %) を初めて超えた点から、max(雑音の 3 倍, 最大偏差の 0.5 %) 以下になる点まで遡る
+//   phases: 相ごとの値の配列（null の相は無視）
+export function detectEnergization(t, phases, frequency = 50) {
+  const used = phases.filter(Boolean);
+  if (!used.length) return null;
+  const dtMs = (t[t.length - 1] - t[0]) / Math.max(1, t.length - 1);
+  const nNoise = Math.max(4, Math.min(t.length >> 2, Math.round(1000 / frequency / dtMs)));
+  const dev = used.map(v => {
+    const seg = v.slice(0, nNoise).filter(Number.isFinite);
+    const mean = seg.reduce((a, x) => a + x, 0) / seg.length;
+    const sd = Math.sqrt(seg.reduce((a, x) => a + (x - mean) ** 2, 0) / seg.length);
+    return { d: v.map(x => Number.isFinite(x) ? Math.abs(x - mean) : 0), sd };
+  });
+  const noise = Math.max(...dev.map(p => p.sd));
+  const peak = Math.max(...dev.map(p => p.d.reduce((m, x) => Math.max(m, x), 0)));
+  if (!(peak > 0)) return null;
+  const threshold = Math.max(8 * noise, 0.05 * peak);
+  const quiet = Math.max(3 * noise, 0.005 * peak);
+  let i = 0;
+  while (i < t.length && !dev.some(p => p.d[i] > threshold)) i++;
+  if (i >= t.length) return null;
+  while (i > 0 && dev.some(p => p.d[i - 1] > quiet)) i--;
+  // 電流は 0 から連続に立ち上がるので、静かな最後の点を投入の瞬時とする
+  return t[Math.max(0, i - 1)];
+}
+
+// 等間隔でない・周期の違う時刻列の線形補間
+function interpolate(t, v, x) {
+  if (x < t[0] || x > t[t.length - 1]) return NaN;
+  let lo = 0, hi = t.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (t[mid] <= x) lo = mid; else hi = mid;
+  }
+  const r = t[hi] === t[lo] ? 0 : (x - t[lo]) / (t[hi] - t[lo]);
+  return v[lo] + r * (v[hi] - v[lo]);
+}
+
+// 実測波形の相ごとの値を時刻 times [ms]（measured.t と同じ基準）で補間する（範囲外は NaN、対応させない相は null）
+export function sampleMeasured(measured, times) {
+  return measured.phases.map(v => v ? times.map(x => interpolate(measured.t, v, x)) : null);
+}
+
+// 直流分の時定数 [s]（1サイクル移動平均の絶対値を、最初の減衰区間のうち初期値の 80 % 以下の範囲で対数直線近似）
+//   t: 投入からの時刻 [s]、values: 電流
+function dcTimeConstant(t, values, samplesPerCycle) {
+  const n = samplesPerCycle;
+  if (values.length < 3 * n) return null;
+  const dc = [];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= n) sum -= values[i - n];
+    if (i >= n - 1) dc.push([t[i - (n >> 1)], sum / n]);
+  }
+  const d0 = Math.abs(dc[0][1]);
+  // 最初の減衰区間だけを使う（加速中の滑り周波数成分で後から平均値が戻るため、
+  // 10 % を下回る・符号が変わる・それまでの最小値から初期値の 2 % 以上増えるところで打ち切る）
+  let low = d0;
+  const end = dc.findIndex(([, v]) => {
+    const a = Math.abs(v);
+    if (a < 0.1 * d0 || Math.sign(v) !== Math.sign(dc[0][1]) || a > low + 0.02 * d0) return true;
+    low = Math.min(low, a);
+    return false;
+  });
+  const pts = dc.slice(0, end < 0 ? dc.length : end).filter(([, v]) => Math.abs(v) <= 0.8 * d0);
+  // 初期の直流分が小さい（振幅の 1 割未満）か、点が足りなければ求めない
+  const amp = Math.max(...values.slice(0, 2 * n).map(Math.abs));
+  if (d0 < 0.1 * amp || pts.length < 4) return null;
+  const xs = pts.map(p => p[0]), ys = pts.map(p => Math.log(Math.abs(p[1])));
+  const mx = xs.reduce((a, x) => a + x, 0) / xs.length, my = ys.reduce((a, y) => a + y, 0) / ys.length;
+  const sxy = xs.reduce((a, x, i) => a + (x - mx) * (ys[i] - my), 0);
+  const sxx = xs.reduce((a, x) => a + (x - mx) ** 2, 0);
+  const slope = sxy / sxx;
+  return slope < 0 ? -1 / slope : null;
+}
+
+// 計算波形と実測波形の比較
+//   sim:      simulateInrush() の結果
+//   measured: { t: 投入からの時刻 [ms], phases: [U, V, W]（相ごとの値の配列、対応させない相は null） }
+//   frequency: 電源周波数 [Hz]
+// 戻り値（重なる時間範囲 [ms] と相ごとの指標。比較できる相がなければ null）:
+//   phases: [{ phase, peakSim, peakMeas, peakError [%], rmsError [A], rmsErrorPct [%]（実測の実効値比）,
+//              tauSim, tauMeas [s]（直流分の時定数、求まらなければ null）, tauError [%] }]
+export function compareWaveforms(sim, measured, frequency) {
+  const data = sim.data.filter(d => d.t >= sim.stopMs);
+  if (!data.length) return null;
+  const tSim = data.map(d => d.t - sim.stopMs);
+  const tEnd = Math.min(tSim[tSim.length - 1], measured.t[measured.t.length - 1]);
+  const tStart = Math.max(0, measured.t[0]);
+  if (!(tEnd > tStart)) return null;
+  const spc = Math.max(1, Math.round(1000 / frequency / (tSim[1] - tSim[0])));
+  const keys = ['iU', 'iV', 'iW'];
+  const phases = measured.phases.map((values, k) => {
+    if (!values) return null;
+    const idx = tSim.map((t, i) => i).filter(i => tSim[i] >= tStart && tSim[i] <= tEnd);
+    const s = idx.map(i => data[i][keys[k]]);
+    const m = idx.map(i => interpolate(measured.t, values, tSim[i]));
+    const ok = m.map(Number.isFinite);
+    const sq = (arr, f) => Math.sqrt(arr.reduce((a, x, j) => ok[j] ? a + f(x, j) ** 2 : a, 0) / Math.max(1, ok.filter(Boolean).length));
+    const peakSim = s.reduce((p, x) => Math.max(p, Math.abs(x)), 0);
+    const peakMeas = m.reduce((p, x) => Number.isFinite(x) ? Math.max(p, Math.abs(x)) : p, 0);
+    const rmsError = sq(s, (x, j) => x - m[j]);
+    const rmsMeas = sq(m, x => x);
+    const tSec = idx.map(i => tSim[i] / 1000);
+    const tauSim = dcTimeConstant(tSec, s, spc);
+    const tauMeas = dcTimeConstant(tSec, m.map(x => Number.isFinite(x) ? x : 0), spc);
+    return {
+      phase: ['U', 'V', 'W'][k],
+      peakSim, peakMeas,
+      peakError: peakMeas > 0 ? (peakSim / peakMeas - 1) * 100 : NaN,
+      rmsError,
+      rmsErrorPct: rmsMeas > 0 ? rmsError / rmsMeas * 100 : NaN,
+      tauSim, tauMeas,
+      tauError: tauSim && tauMeas ? (tauSim / tauMeas - 1) * 100 : null
+    };
+  }).filter(Boolean);
+  return phases.length ? { range: [tStart, tEnd], phases } : null;
+}
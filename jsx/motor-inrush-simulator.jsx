@@ -1,7 +1,20 @@
 import React, { useState, useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea } from 'recharts';
+import { simulateInrush } from '../js/inrush-engine.js';
+import { LOAD_TYPES } from '../js/load-torque.js';
+import { STARTING_METHODS } from '../js/starting-methods.js';
+import { defaultResistorSchedule } from '../js/rotor-resistance.js';
+import { baseValues } from '../js/machine-model.js';
+import { PULL_IN_STATUS } from '../js/synchronous-start.js';
+import { BREAKER_MODES } from '../js/breaker.js';
+import { NETWORK_DEFAULTS } from '../js/supply-network.js';
+import { analyzeCurrents, SETTLE_RATIO } from '../js/analytics.js';
+import { decimate } from '../js/plot.js';
 
 // モーター種類の定義
+// circuit: 等価回路定数 [p.u.]（同期機はダンパ巻線による始動時の値）、H: 慣性定数 [s]
+// sync: 同期機定数 [p.u.]（Xd・Xq、界磁 R_fd・X_lfd、d・q軸ダンパ）
+// saturation: 励磁回路の Ψ-i 曲線プリセット [[励磁電流, 主磁束], ...] [p.u.]（同期機は d軸）
 const MOTOR_TYPES = {
   squirrelCage: {
     id: 'squirrelCage',
@@ -14,6 +27,10 @@ const MOTOR_TYPES = {
     startTorque: 1.5,
     hasSlipRings: false,
     rotorType: 'cage',
+    poles: 4,
+    H: 0.5,
+    circuit: { R1: 0.02, X1: 0.075, Xm: 3.5, R2: 0.032, X2: 0.075 },
+    saturation: [[0.257, 0.9], [0.303, 1.0], [0.393, 1.1], [0.549, 1.2], [0.817, 1.3], [1.8, 1.5], [7.43, 2.0]],
   },
   woundRotor: {
     id: 'woundRotor',
@@ -26,6 +43,10 @@ const MOTOR_TYPES = {
     startTorque: 2.5,
     hasSlipRings: true,
     rotorType: 'wound',
+    poles: 6,
+    H: 0.8,
+    circuit: { R1: 0.025, X1: 0.08, Xm: 3.2, R2: 0.03, X2: 0.08 },
+    saturation: [[0.281, 0.9], [0.328, 1.0], [0.419, 1.1], [0.581, 1.2], [0.853, 1.3], [1.88, 1.5], [7.5, 2.0]],
   },
   salientPole: {
     id: 'salientPole',
@@ -38,6 +59,11 @@ const MOTOR_TYPES = {
     startTorque: 0.4,
     hasSlipRings: true,
     rotorType: 'salient',
+    poles: 8,
+    H: 1.5,
+    circuit: { R1: 0.03, X1: 0.1, Xm: 0.9, R2: 0.02, X2: 0.11 },
+    sync: { Xd: 1.0, Xq: 0.65, Rfd: 0.0025, Xlfd: 0.2, Rkd: 0.02, Xlkd: 0.11, Rkq: 0.025, Xlkq: 0.11 },
+    saturation: [[1.0, 0.9], [1.16, 1.0], [1.41, 1.1], [1.87, 1.2], [2.74, 1.3], [6.0, 1.5], [24.4, 2.0]],
   },
   cylindrical: {
     id: 'cylindrical',
@@ -50,6 +76,11 @@ const MOTOR_TYPES = {
     startTorque: 0.3,
     hasSlipRings: true,
     rotorType: 'cylindrical',
+    poles: 2,
+    H: 2.0,
+    circuit: { R1: 0.02, X1: 0.1, Xm: 1.1, R2: 0.018, X2: 0.12 },
+    sync: { Xd: 1.2, Xq: 1.15, Rfd: 0.003, Xlfd: 0.15, Rkd: 0.018, Xlkd: 0.12, Rkq: 0.018, Xlkq: 0.12 },
+    saturation: [[0.818, 0.9], [0.945, 1.0], [1.15, 1.1], [1.53, 1.2], [2.25, 1.3], [4.91, 1.5], [20.0, 2.0]],
   },
 };
 
@@ -324,6 +355,7 @@ const SynchronousMotorCircuit = ({ isSalient = true }) => (
 // メインコンポーネント
 export default function MotorStartupSimulator() {
   const [selectedMotor, setSelectedMotor] = useState('squirrelCage');
+  const [model, setModel] = useState('dq');
   const [ratedPower, setRatedPower] = useState(7.5);
   const [ratedVoltage, setRatedVoltage] = useState(200);
   const [frequency, setFrequency] = useState(50);
@@ -331,82 +363,67 @@ export default function MotorStartupSimulator() {
   const [dcTimeConstant, setDcTimeConstant] = useState(50);
   const [viewCycles, setViewCycles] = useState(10);
   const [stopTime, setStopTime] = useState(50);
+  const [runTime, setRunTime] = useState(2);
+  const [loadType, setLoadType] = useState('quadratic');
+  const [loadTorque, setLoadTorque] = useState(0.8);
+  const [startingMethod, setStartingMethod] = useState('dol');
+  const [changeoverTime, setChangeoverTime] = useState(3);
+  const [breakerMode, setBreakerMode] = useState('simultaneous');
+  const [rextSteps, setRextSteps] = useState(3);
   const [showEnvelope, setShowEnvelope] = useState(true);
+  const [saturationOn, setSaturationOn] = useState(false);
+  const [networkOn, setNetworkOn] = useState(false);
   const [showCircuit, setShowCircuit] = useState(false);
   const [circuitSlip, setCircuitSlip] = useState(1);
 
   const motor = MOTOR_TYPES[selectedMotor];
-  const inrushMultiplier = motor.inrushMultiplier;
 
-  const simulationData = useMemo(() => {
-    const omega = 2 * Math.PI * frequency;
-    const period = 1 / frequency;
-    const ratedCurrent = (ratedPower * 1000) / (Math.sqrt(3) * ratedVoltage * 0.85);
-    const peakRated = ratedCurrent * Math.sqrt(2);
-    const peakInrush = peakRated * inrushMultiplier;
-    
-    const phi0 = (switchingAngle * Math.PI) / 180;
-    const tau = dcTimeConstant / 1000;
-    const tauAC = motor.category === '同期機' ? 0.5 : 0.3;
-    
-    const stopTimeS = stopTime / 1000;
-    const runTime = period * viewCycles;
-    const totalTime = stopTimeS + runTime;
-    const dt = period / 100;
-    const steps = Math.floor(totalTime / dt);
-    
-    const data = [];
-    let maxCurrent = 0;
-    
-    for (let i = 0; i <= steps; i++) {
-      const t = i * dt;
-      const tMs = t * 1000;
-      
-      if (t < stopTimeS) {
-        data.push({
-          time: parseFloat(tMs.toFixed(2)),
-          iU: 0, iV: 0, iW: 0,
-          envPos: 0, envNeg: 0, dcU: 0,
-          peakRated: parseFloat(peakRated.toFixed(1)),
-        });
-        continue;
-      }
-      
-      const tRun = t - stopTimeS;
-      const amplitudeDecay = 1 + (inrushMultiplier - 1) * Math.exp(-tRun / tauAC);
-      const currentAmplitude = peakRated * amplitudeDecay;
-      
-      const phaseU = omega * tRun + phi0;
-      const phaseV = omega * tRun + phi0 - (2 * Math.PI / 3);
-      const phaseW = omega * tRun + phi0 + (2 * Math.PI / 3);
-      
-      const dcU = -currentAmplitude * Math.sin(phi0) * Math.exp(-tRun / tau);
-      const dcV = -currentAmplitude * Math.sin(phi0 - (2 * Math.PI / 3)) * Math.exp(-tRun / tau);
-      const dcW = -currentAmplitude * Math.sin(phi0 + (2 * Math.PI / 3)) * Math.exp(-tRun / tau);
-      
-      const iU = currentAmplitude * Math.sin(phaseU) + dcU;
-      const iV = currentAmplitude * Math.sin(phaseV) + dcV;
-      const iW = currentAmplitude * Math.sin(phaseW) + dcW;
-      
-      const envelopeU_pos = currentAmplitude + Math.abs(dcU);
-      const envelopeU_neg = -(currentAmplitude + Math.abs(dcU));
-      
-      maxCurrent = Math.max(maxCurrent, Math.abs(iU), Math.abs(iV), Math.abs(iW));
-      
-      data.push({
-        time: parseFloat(tMs.toFixed(2)),
-        iU: parseFloat(iU.toFixed(1)),
-        iV: parseFloat(iV.toFixed(1)),
-        iW: parseFloat(iW.toFixed(1)),
-        envPos: parseFloat(envelopeU_pos.toFixed(1)),
-        envNeg: parseFloat(envelopeU_neg.toFixed(1)),
-        dcU: parseFloat(dcU.toFixed(1)),
-        peakRated: parseFloat(peakRated.toFixed(1)),
-      });
-    }
-    
-    return { data, ratedCurrent, peakRated, peakInrush, maxCurrent, stopTimeMs: stopTime };
-  }, [ratedPower, ratedVoltage, frequency, inrushMultiplier, switchingAngle, dcTimeConstant, viewCycles, stopTime, motor]);
+  const simulationData = useMemo(() => simulateInrush({
+    model,
+    motor,
+    ratedPower,
+    ratedVoltage,
+    frequency,
+    stopTime,
+    switchAngle: switchingAngle,
+    dcTau: dcTimeConstant,
+    viewCycles,
+    runTime,
+    load: { type: loadType, torque: loadTorque },
+    startingMethod,
+    starter: { changeoverTime },
+    breaker: { mode: breakerMode },
+    // 巻線型は標準の R_ext スケジュール（段数のみ指定）
+    rotorResistance: motor.rotorType === 'wound'
+      ? defaultResistorSchedule(motor.circuit, baseValues({ ratedPower, ratedVoltage, frequency }).Z, rextSteps)
+      : [],
+    saturation: saturationOn ? motor.saturation : [],
+    // 電源系統は既定値（変圧器 500 kVA・%Z 5・ケーブル 50 m）
+    network: networkOn ? NETWORK_DEFAULTS : null,
+  }), [model, ratedPower, ratedVoltage, frequency, switchingAngle, dcTimeConstant, viewCycles, stopTime, runTime, loadType, loadTorque, startingMethod, changeoverTime, breakerMode, rextSteps, saturationOn, networkOn, motor]);
+
+  // 三相・DC波形は表示サイクル数の範囲だけ描く
+  const viewData = useMemo(
+    () => simulationData.data.filter((d) => d.t <= simulationData.viewMs),
+    [simulationData]
+  );
+
+  // 加速特性は計算範囲の全体を描くので、グラフの幅（約 400 px）で画素ごとの最初・最小・最大・最後の点に間引く
+  //（各系列で残った時刻の行をまとめて残す。index.html と同じ decimate()）
+  const mechData = useMemo(() => {
+    const data = simulationData.data;
+    if (!simulationData.mechanical || data.length < 2) return data;
+    const ts = data.map((d) => d.t);
+    const range = { from: ts[0], to: ts[ts.length - 1], pixels: 400 };
+    const keep = new Set();
+    ['speed', 'Te', 'TL', 'slip'].forEach((key) => {
+      decimate(ts, data.map((d) => d[key]), range).xs.forEach((t) => keep.add(t));
+    });
+    return data.filter((d) => keep.has(d.t));
+  }, [simulationData]);
+
+  // 実効値・減衰時間・I²t
+  const analysis = useMemo(() => analyzeCurrents(simulationData, frequency), [simulationData, frequency]);
 
   const getPhaseDescription = (angle) => {
     if (angle === 0 || angle === 180) return 'DC成分最小';
@@ -500,6 +517,14 @@ export default function MotorStartupSimulator() {
             <option value={60}>60Hz</option>
           </select>
         </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">計算モデル</label>
+          <select value={model} onChange={(e) => setModel(e.target.value)}
+            className="w-full bg-gray-700 rounded px-2 py-1 text-sm">
+            <option value="dq">等価回路 (dq軸過渡解析)</option>
+            <option value="simple">簡易 (経験式)</option>
+          </select>
+        </div>
         <div>
           <label className="block text-xs text-gray-400 mb-1">停止時間 [ms]</label>
           <input type="range" min="0" max="100" step="10" value={stopTime}
@@ -514,8 +539,8 @@ export default function MotorStartupSimulator() {
         </div>
         <div>
           <label className="block text-xs text-gray-400 mb-1">DC減衰時定数 [ms]</label>
-          <input type="range" min="10" max="200" step="5" value={dcTimeConstant}
-            onChange={(e) => setDcTimeConstant(parseInt(e.target.value))} className="w-full accent-pink-500" />
+          <input type="range" min="10" max="200" step="5" value={dcTimeConstant} disabled={model === 'dq'}
+            onChange={(e) => setDcTimeConstant(parseInt(e.target.value))} className="w-full accent-pink-500 disabled:opacity-40" />
           <span className="text-sm font-mono text-pink-300">{dcTimeConstant} ms</span>
         </div>
         <div>
@@ -524,6 +549,60 @@ export default function MotorStartupSimulator() {
             onChange={(e) => setViewCycles(parseInt(e.target.value))} className="w-full accent-green-500" />
           <span className="text-sm font-mono text-green-300">{viewCycles} サイクル</span>
         </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">計算時間 [s]</label>
+          <input type="range" min="0.2" max="20" step="0.1" value={runTime} disabled={model !== 'dq'}
+            onChange={(e) => setRunTime(parseFloat(e.target.value))} className="w-full accent-blue-500 disabled:opacity-40" />
+          <span className="text-sm font-mono text-blue-300">{runTime.toFixed(1)} s</span>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">負荷特性</label>
+          <select value={loadType} onChange={(e) => setLoadType(e.target.value)} disabled={model !== 'dq'}
+            className="w-full bg-gray-700 rounded px-2 py-1 text-sm disabled:opacity-40">
+            {Object.entries(LOAD_TYPES).filter(([id]) => id !== 'table').map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">負荷トルク [定格比]</label>
+          <input type="range" min="0" max="1.5" step="0.05" value={loadTorque} disabled={model !== 'dq'}
+            onChange={(e) => setLoadTorque(parseFloat(e.target.value))} className="w-full accent-yellow-500 disabled:opacity-40" />
+          <span className="text-sm font-mono text-yellow-300">{loadTorque.toFixed(2)} p.u.</span>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">始動方式</label>
+          <select value={startingMethod} onChange={(e) => setStartingMethod(e.target.value)} disabled={model !== 'dq'}
+            className="w-full bg-gray-700 rounded px-2 py-1 text-sm disabled:opacity-40">
+            {Object.entries(STARTING_METHODS).map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">遮断器の投入</label>
+          <select value={breakerMode} onChange={(e) => setBreakerMode(e.target.value)}
+            disabled={model !== 'dq' || startingMethod === 'vfd'}
+            className="w-full bg-gray-700 rounded px-2 py-1 text-sm disabled:opacity-40">
+            {Object.entries(BREAKER_MODES).filter(([id]) => id !== 'individual').map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">切替時刻 [s]</label>
+          <input type="range" min="0.1" max="10" step="0.1" value={changeoverTime}
+            disabled={model !== 'dq' || !['starDelta', 'autotransformer'].includes(startingMethod)}
+            onChange={(e) => setChangeoverTime(parseFloat(e.target.value))} className="w-full accent-orange-500 disabled:opacity-40" />
+          <span className="text-sm font-mono text-orange-300">{changeoverTime.toFixed(1)} s</span>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">R_ext 段数（巻線型）</label>
+          <input type="range" min="0" max="5" step="1" value={rextSteps}
+            disabled={model !== 'dq' || motor.rotorType !== 'wound'}
+            onChange={(e) => setRextSteps(parseInt(e.target.value))} className="w-full accent-purple-500 disabled:opacity-40" />
+          <span className="text-sm font-mono text-purple-300">{rextSteps === 0 ? 'なし' : `${rextSteps} 段`}</span>
+        </div>
         <div className="flex items-end gap-2">
           <label className="flex items-center gap-2 cursor-pointer">
             <input type="checkbox" checked={showEnvelope} onChange={(e) => setShowEnvelope(e.target.checked)}
@@ -535,31 +614,74 @@ export default function MotorStartupSimulator() {
               className="w-4 h-4 accent-green-500" />
             <span className="text-xs">等価回路</span>
           </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={saturationOn} onChange={(e) => setSaturationOn(e.target.checked)} disabled={model !== 'dq'}
+              className="w-4 h-4 accent-red-500" />
+            <span className="text-xs">磁気飽和</span>
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={networkOn} onChange={(e) => setNetworkOn(e.target.checked)} disabled={model !== 'dq'}
+              className="w-4 h-4 accent-orange-500" />
+            <span className="text-xs">電源系統</span>
+          </label>
         </div>
       </div>
       
       {/* 計算結果サマリー */}
-      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4">
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-2 mb-4">
         <div className="bg-gray-800 p-3 rounded text-center">
           <div className="text-xs text-gray-400">定格電流</div>
-          <div className="text-lg font-bold text-green-400">{simulationData.ratedCurrent.toFixed(1)} A</div>
+          <div className="text-lg font-bold text-green-400">{simulationData.Irated.toFixed(1)} A</div>
         </div>
         <div className="bg-gray-800 p-3 rounded text-center">
           <div className="text-xs text-gray-400">定格ピーク</div>
-          <div className="text-lg font-bold text-green-300">{simulationData.peakRated.toFixed(1)} A</div>
+          <div className="text-lg font-bold text-green-300">{simulationData.Ipeak.toFixed(1)} A</div>
         </div>
         <div className="bg-gray-800 p-3 rounded text-center">
           <div className="text-xs text-gray-400">突入ピーク</div>
-          <div className="text-lg font-bold text-yellow-400">{simulationData.peakInrush.toFixed(1)} A</div>
+          <div className="text-lg font-bold text-yellow-400">{simulationData.IpeakInrush.toFixed(1)} A</div>
         </div>
         <div className="bg-gray-800 p-3 rounded text-center">
           <div className="text-xs text-gray-400">最大瞬時電流</div>
-          <div className="text-lg font-bold text-red-400">{simulationData.maxCurrent.toFixed(1)} A</div>
+          <div className="text-lg font-bold text-red-400">{simulationData.maxI.toFixed(1)} A</div>
         </div>
         <div className="bg-gray-800 p-3 rounded text-center">
           <div className="text-xs text-gray-400">対定格比</div>
-          <div className="text-lg font-bold text-red-300">{(simulationData.maxCurrent / simulationData.peakRated).toFixed(1)} 倍</div>
+          <div className="text-lg font-bold text-red-300">{(simulationData.maxI / simulationData.Ipeak).toFixed(1)} 倍</div>
+        </div>
+        <div className="bg-gray-800 p-3 rounded text-center">
+          <div className="text-xs text-gray-400">最大実効値 / I²t</div>
+          <div className="text-lg font-bold text-yellow-300">{analysis.maxRms.toFixed(1)} A / {Math.max(...analysis.i2t).toFixed(0)} A²s</div>
         </div>
+        <div className="bg-gray-800 p-3 rounded text-center">
+          <div className="text-xs text-gray-400">{SETTLE_RATIO}×定格まで減衰</div>
+          <div className="text-lg font-bold text-green-300">{analysis.settleTime === null ? '—' : `${analysis.settleTime.toFixed(2)} s`}</div>
+        </div>
+        {simulationData.mechanical && (
+          <div className="bg-gray-800 p-3 rounded text-center">
+            <div className="text-xs text-gray-400">加速時間</div>
+            <div className="text-lg font-bold text-yellow-300">
+              {simulationData.accelTime !== null ? `${simulationData.accelTime.toFixed(2)} s`
+                : simulationData.operatingSlip === null ? '加速不可' : simulationData.stalled ? '停滞' : `> ${runTime} s`}
+            </div>
+          </div>
+        )}
+        {simulationData.network && (
+          <div className="bg-gray-800 p-3 rounded text-center">
+            <div className="text-xs text-gray-400">受電点 最大電圧低下</div>
+            <div className={`text-lg font-bold ${simulationData.network.dipPcc > NETWORK_DEFAULTS.dipLimit ? 'text-red-400' : 'text-green-400'}`}>
+              {simulationData.network.dipPcc.toFixed(2)} %
+            </div>
+          </div>
+        )}
+        {simulationData.mechanical && simulationData.sync && (
+          <div className="bg-gray-800 p-3 rounded text-center">
+            <div className="text-xs text-gray-400">同期引入れ</div>
+            <div className={`text-lg font-bold ${simulationData.sync.status === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+              {PULL_IN_STATUS[simulationData.sync.status]}
+            </div>
+          </div>
+        )}
       </div>
       
       {/* 等価回路表示 */}
@@ -605,25 +727,25 @@ export default function MotorStartupSimulator() {
       <div className="bg-gray-800 p-4 rounded-lg mb-4">
         <h2 className="text-sm font-semibold mb-2 text-gray-300">三相電流波形 [A] - {motor.name}</h2>
         <ResponsiveContainer width="100%" height={300}>
-          <LineChart data={simulationData.data} margin={{ top: 10, right: 30, left: 10, bottom: 30 }}>
+          <LineChart data={viewData} margin={{ top: 10, right: 30, left: 10, bottom: 30 }}>
             <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-            <ReferenceArea x1={0} x2={simulationData.stopTimeMs} fill="#1F2937" fillOpacity={0.8} />
-            <XAxis dataKey="time" stroke="#9CA3AF"
+            <ReferenceArea x1={0} x2={simulationData.stopMs} fill="#1F2937" fillOpacity={0.8} />
+            <XAxis dataKey="t" stroke="#9CA3AF"
               label={{ value: '時間 [ms]', position: 'bottom', fill: '#9CA3AF', fontSize: 12 }}
               tickFormatter={(v) => v.toFixed(0)} />
             <YAxis stroke="#9CA3AF" domain={['auto', 'auto']} tickFormatter={(v) => v.toFixed(0)} />
             <Tooltip contentStyle={{ backgroundColor: '#1F2937', border: 'none', fontSize: 12 }}
-              labelFormatter={(v) => `${v.toFixed(1)} ms`} />
+              labelFormatter={(v) => `${v.toFixed(1)} ms`} formatter={(v) => v.toFixed(1)} />
             <Legend wrapperStyle={{ fontSize: 11 }} />
             <ReferenceLine y={0} stroke="#4B5563" />
-            <ReferenceLine x={simulationData.stopTimeMs} stroke="#F59E0B" strokeWidth={2}
+            <ReferenceLine x={simulationData.stopMs} stroke="#F59E0B" strokeWidth={2}
               label={{ value: '投入', fill: '#F59E0B', fontSize: 10, position: 'top' }} />
-            <ReferenceLine y={simulationData.peakRated} stroke="#10B981" strokeDasharray="5 5" />
-            <ReferenceLine y={-simulationData.peakRated} stroke="#10B981" strokeDasharray="5 5" />
+            <ReferenceLine y={simulationData.Ipeak} stroke="#10B981" strokeDasharray="5 5" />
+            <ReferenceLine y={-simulationData.Ipeak} stroke="#10B981" strokeDasharray="5 5" />
             {showEnvelope && (
               <>
-                <Line type="monotone" dataKey="envPos" name="包絡線" stroke="#6B7280" dot={false} strokeWidth={1} strokeDasharray="3 3" />
-                <Line type="monotone" dataKey="envNeg" stroke="#6B7280" dot={false} strokeWidth={1} strokeDasharray="3 3" legendType="none" />
+                <Line type="monotone" dataKey="envP" name="包絡線" stroke="#6B7280" dot={false} strokeWidth={1} strokeDasharray="3 3" />
+                <Line type="monotone" dataKey="envN" stroke="#6B7280" dot={false} strokeWidth={1} strokeDasharray="3 3" legendType="none" />
               </>
             )}
             <Line type="monotone" dataKey="iU" name="U相" stroke="#EF4444" dot={false} strokeWidth={1.5} />
@@ -633,19 +755,48 @@ export default function MotorStartupSimulator() {
         </ResponsiveContainer>
       </div>
       
+      {/* 加速特性（速度・トルク・スリップ） */}
+      {simulationData.mechanical && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          {[
+            { key: 'speed', title: '回転速度 [min⁻¹]', color: '#60A5FA', ref: simulationData.syncSpeed },
+            { key: 'Te', title: '電磁トルク [N·m]', color: '#A78BFA', extra: 'TL' },
+            { key: 'slip', title: 'スリップ s', color: '#EC4899', ref: simulationData.ratedSlip },
+          ].map((c) => (
+            <div key={c.key} className="bg-gray-800 p-4 rounded-lg">
+              <h2 className="text-sm font-semibold mb-2 text-gray-300">{c.title}</h2>
+              <ResponsiveContainer width="100%" height={160}>
+                <LineChart data={mechData} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="t" stroke="#9CA3AF" tickFormatter={(v) => (v / 1000).toFixed(1)} />
+                  <YAxis stroke="#9CA3AF" tickFormatter={(v) => (c.key === 'slip' ? v.toFixed(2) : v.toFixed(0))} />
+                  {c.ref !== undefined && <ReferenceLine y={c.ref} stroke="#10B981" strokeDasharray="5 5" />}
+                  {simulationData.accelTime !== null && (
+                    <ReferenceLine x={simulationData.stopMs + simulationData.accelTime * 1000} stroke="#34D399" />
+                  )}
+                  <Line type="monotone" dataKey={c.key} stroke={c.color} dot={false} strokeWidth={1.5} isAnimationActive={false} />
+                  {c.extra && <Line type="monotone" dataKey={c.extra} stroke="#F59E0B" dot={false} strokeWidth={1.5} isAnimationActive={false} />}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* U相 + DC成分 */}
       <div className="bg-gray-800 p-4 rounded-lg mb-4">
         <h2 className="text-sm font-semibold mb-2 text-gray-300">U相電流とDC成分 [A]</h2>
         <ResponsiveContainer width="100%" height={200}>
-          <LineChart data={simulationData.data} margin={{ top: 10, right: 30, left: 10, bottom: 30 }}>
+          <LineChart data={viewData} margin={{ top: 10, right: 30, left: 10, bottom: 30 }}>
             <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-            <ReferenceArea x1={0} x2={simulationData.stopTimeMs} fill="#1F2937" fillOpacity={0.8} />
-            <XAxis dataKey="time" stroke="#9CA3AF" tickFormatter={(v) => v.toFixed(0)} />
+            <ReferenceArea x1={0} x2={simulationData.stopMs} fill="#1F2937" fillOpacity={0.8} />
+            <XAxis dataKey="t" stroke="#9CA3AF" tickFormatter={(v) => v.toFixed(0)} />
             <YAxis stroke="#9CA3AF" />
-            <Tooltip contentStyle={{ backgroundColor: '#1F2937', border: 'none', fontSize: 12 }} />
+            <Tooltip contentStyle={{ backgroundColor: '#1F2937', border: 'none', fontSize: 12 }}
+              labelFormatter={(v) => `${v.toFixed(1)} ms`} formatter={(v) => v.toFixed(1)} />
             <Legend wrapperStyle={{ fontSize: 11 }} />
             <ReferenceLine y={0} stroke="#4B5563" />
-            <ReferenceLine x={simulationData.stopTimeMs} stroke="#F59E0B" strokeWidth={2} />
+            <ReferenceLine x={simulationData.stopMs} stroke="#F59E0B" strokeWidth={2} />
             <Line type="monotone" dataKey="iU" name="U相" stroke="#EF4444" dot={false} strokeWidth={2} />
             <Line type="monotone" dataKey="dcU" name="DC成分" stroke="#F59E0B" dot={false} strokeWidth={2} strokeDasharray="5 5" />
           </LineChart>